@@ -3,16 +3,197 @@
   const footerHtml = await fetch('footer.html').then(r => r.text());
   document.getElementById('header').innerHTML = headerHtml;
   document.getElementById('footer').innerHTML = footerHtml;
+  if (typeof initSearchBox === 'function') initSearchBox();
   const y = document.getElementById('year');
   if (y) y.textContent = new Date().getFullYear();
 })();
 
+// Site root = the folder this script is served from, so a local preview
+// (npm run serve), a fork and production each read their own data and images
+const SITE_ROOT = new URL('.', document.currentScript.src).href;
+const DATA_BASE = `${SITE_ROOT}data`;
+
+async function fetchJSON(file) {
+    const res = await fetch(`${DATA_BASE}/${file}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+const IMG_BASE = `${SITE_ROOT}images`;
+
+// Reading language: ?lang=es → translated cards, article files and search
+// (data/index/es/, built from data/articles.es.json); English without it
+let lang = (() => {
+    const code = (new URLSearchParams(location.search).get('lang') || '').toLowerCase();
+    return /^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/.test(code) && code !== 'en' ? code : '';
+})();
+
+// Pre-rendered page and data file of a card or link; translated ones carry `lang`
+function articleHref(a) {
+    return `articles/${encodeURIComponent(a.id)}/${a.lang ? `${encodeURIComponent(a.lang)}/` : ''}`;
+}
+
+function articleFile(a) {
+    return `articles/${encodeURIComponent(a.id)}${a.lang ? `.${a.lang}` : ''}.json`;
+}
+
+// Language switcher links from [{ code, name }] (index pages, article files)
+function languageLinks(languages, current, href) {
+    if (!languages || languages.length < 2) return '';
+    return languages.map(l => l.code === current
+        ? `<strong aria-current="page" lang="${esc(l.code)}">${esc(l.name)}</strong>`
+        : `<a href="${esc(href(l.code))}" hreflang="${esc(l.code)}" lang="${esc(l.code)}">${esc(l.name)}</a>`).join(' · ');
+}
+
+// Article page: the facets it matches → the index filtered by each
+function facetLinks(facets, current) {
+    if (!facets || !facets.length) return '';
+    const langParam = current && current !== 'en' ? `&lang=${encodeURIComponent(current)}` : '';
+    const links = facets.map(f => `<a class="pill" href="index.html?facet=${encodeURIComponent(f.key)}${langParam}">${esc(f.label)}</a>`);
+    return `<span class="muted">More like this:</span> ${links.join(' ')}`;
+}
+
+function renderLanguages() {
+    const nav = document.getElementById('langs');
+    if (!nav) return;
+    nav.innerHTML = languageLinks(indexInfo.languages, lang || 'en', code => (code === 'en' ? 'index.html' : `index.html?lang=${encodeURIComponent(code)}`));
+}
+
+// Text → HTML-safe string for template literals (attribute values included)
+function esc(s) {
+    return String(s ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Record image → <picture>: AVIF/WebP sources and a thumbnail from image_meta
+// (scripts/lib/images/optimize.js), the original as fallback. Lazy unless `eager`.
+const IMAGE_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+function picture(item, { alt = '', sizes = '100vw', eager = false, cls = '' } = {}) {
+    const meta = item.image_meta || {};
+    const variants = meta.variants || [];
+    const srcset = list => list.map(v => `${esc(v.url)} ${v.width}w`).join(', ');
+    const sources = Object.keys(IMAGE_TYPES)
+        .map(format => variants.filter(v => v.format === format))
+        .filter(list => list.length)
+        .map(list => `<source type="${IMAGE_TYPES[list[0].format]}" srcset="${srcset(list)}" sizes="${esc(sizes)}">`);
+    const thumbs = variants.filter(v => v.format === meta.format);
+    const attrs = [
+        cls && `class="${esc(cls)}"`,
+        `src="${esc(item.image)}"`,
+        thumbs.length && meta.width && `srcset="${srcset([...thumbs, { url: item.image, width: meta.width }])}" sizes="${esc(sizes)}"`,
+        meta.width && meta.height && `width="${meta.width}" height="${meta.height}"`,
+        `alt="${esc(alt)}"`,
+        eager ? 'fetchpriority="high"' : 'loading="lazy"',
+        'decoding="async"',
+    ].filter(Boolean);
+    return `<picture>${sources.join('')}<img ${attrs.join(' ')}></picture>`;
+}
+
+// Article bodies: same allowlist as scripts/lib/sanitize.js (the build already
+// sanitizes; this guards the data/articles/<id>.json path). Parsing with
+// DOMParser runs no scripts and loads nothing.
+const SAFE_TAGS = {
+    H2: [], H3: [], H4: [], H5: [], H6: [],
+    P: [], BR: [], UL: [], OL: [], LI: [],
+    STRONG: [], EM: [], B: [], I: [], SMALL: [], BLOCKQUOTE: [], CODE: [],
+    A: ['href', 'title'],
+    IMG: ['src', 'alt', 'width', 'height'],
+};
+const DROP_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'TEMPLATE',
+    'NOSCRIPT', 'SVG', 'MATH', 'FORM', 'TEXTAREA', 'SELECT', 'BUTTON', 'TITLE', 'HEAD', 'LINK', 'META', 'BASE']);
+
+function safeHref(url) {
+    const v = String(url).replace(/[\u0000- \u007f-\u009f]/g, '');
+    return /^(?:https?|mailto):/i.test(v) || !/^[a-z][a-z0-9+.-]*:/i.test(v);
+}
+
+function isSiteImage(url) {
+    try {
+        return new URL(url, document.baseURI).href.startsWith(`${IMG_BASE}/`);
+    } catch {
+        return false;
+    }
+}
+
+function sanitizeHTML(html) {
+    const doc = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+    const clean = node => {
+        for (const child of [...node.childNodes]) {
+            if (child.nodeType === Node.COMMENT_NODE) child.remove();
+            if (child.nodeType !== Node.ELEMENT_NODE) continue;
+            const name = child.nodeName.toUpperCase();
+            if (DROP_TAGS.has(name)) {
+                child.remove();
+                continue;
+            }
+            clean(child);
+            const allowed = SAFE_TAGS[name];
+            if (!allowed) {
+                child.replaceWith(...child.childNodes);
+                continue;
+            }
+            for (const { name: attr, value } of [...child.attributes]) {
+                const ok = allowed.includes(attr)
+                    && (attr !== 'href' || safeHref(value))
+                    && (attr !== 'src' || isSiteImage(value));
+                if (!ok) child.removeAttribute(attr);
+            }
+            if (name === 'IMG' && !child.hasAttribute('src')) child.remove();
+        }
+    };
+    clean(doc.body);
+    return doc.body.innerHTML;
+}
+
+// Lightweight index pages (data/index/page-<n>.json, newest first, no bodies)
+let indexInfo = { page: 0, pages: 1, total: 0 };
+let pageLoading = null;
+let allPagesLoading = null;
+
+function hasMorePages() {
+    return indexInfo.page < indexInfo.pages;
+}
+
+function loadNextPage() {
+    pageLoading = pageLoading || fetchJSON(`index/${lang ? `${lang}/` : ''}page-${indexInfo.page + 1}.json`)
+        .then(page => {
+            articles = articles.concat(page.items);
+            indexInfo = page;
+        })
+        .finally(() => { pageLoading = null; });
+    return pageLoading;
+}
+
+// Search and tag filters need every card, so they pull the remaining pages
+function loadAllPages() {
+    // a failed page clears the promise, so the next filter change tries again
+    allPagesLoading = allPagesLoading || (async () => {
+        while (hasMorePages()) await loadNextPage();
+    })().catch(err => {
+        allPagesLoading = null;
+        throw err;
+    });
+    return allPagesLoading;
+}
+
+async function loadMore() {
+    if (!hasMorePages()) return;
+    await loadNextPage();
+    render();
+}
+
 async function loadData() {
     try {
-        const res = await fetch('https://lnagy2002.github.io/factshistory/insurance/data/articles.json'); // <-- your JSON file
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        articles = await res.json();  
-        render();
+        await loadNextPage().catch(err => {
+            // a language the site has no translations in reads in English
+            if (!lang) throw err;
+            lang = '';
+            return loadNextPage();
+        });
+        if (lang) document.documentElement.lang = lang;
+        await render();
     } catch (err) {
       console.error  (err);
     }
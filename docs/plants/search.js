@@ -0,0 +1,159 @@
+// =========================================
+// search.js — client-side search + tag filters for index.html
+// Index: data/search.json (built by scripts/lib/build/search.js), fetched via shared.js;
+// data/search.<lang>.json while reading a translation (?lang=, see shared.js)
+// Filter state lives in the URL: index.html?q=deductible&tag=auto%20insurance
+// (esc() for every interpolated value lives in shared.js)
+// Sites whose index pages list facets (data/index/page-<n>.json) also get
+// ?facet=<key> filters (repeatable, all must match) and a bar in #facets
+// =========================================
+
+// searchTokens() and STOPWORDS mirror scripts/lib/build/search.js, which builds the index
+const STOPWORDS = new Set(("a an and are as at be but by for from has have how in into is it its of on or " +
+  "that the their this to was what when where which who why will with you your").split(" "));
+
+let searchIndex = null;
+
+function searchTokens(s) {
+  return String(s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+async function loadSearchIndex() {
+  if (searchIndex) return searchIndex;
+  searchIndex = await fetchJSON(lang ? `search.${lang}.json` : 'search.json');
+  return searchIndex;
+}
+
+// → Map(id → score), best matches first. Every query term must match
+// (the last one as a prefix, so results update while typing).
+function searchArticles(query) {
+  const tokens = searchTokens(query);
+  if (!searchIndex || !tokens.length) return new Map();
+  const N = searchIndex.ids.length;
+  let scores = null;
+
+  tokens.forEach((tok, i) => {
+    const isLast = i === tokens.length - 1;
+    const matches = Object.keys(searchIndex.terms).filter(t => t === tok || (isLast && tok.length >= 3 && t.startsWith(tok)));
+    const termScores = new Map();
+    for (const t of matches) {
+      const postings = searchIndex.terms[t];
+      const idf = Math.log(1 + N / (postings.length / 2));
+      const boost = t === tok ? 1 : 0.7;
+      for (let p = 0; p < postings.length; p += 2) {
+        termScores.set(postings[p], (termScores.get(postings[p]) || 0) + postings[p + 1] * idf * boost);
+      }
+    }
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const doc of [...scores.keys()]) {
+        if (termScores.has(doc)) scores.set(doc, scores.get(doc) + termScores.get(doc));
+        else scores.delete(doc);
+      }
+    }
+  });
+
+  return new Map([...scores].sort((a, b) => b[1] - a[1]).map(([doc, s]) => [searchIndex.ids[doc], s]));
+}
+
+// Escapes text and wraps query terms (word prefixes) in <mark>
+function highlight(text, query) {
+  const tokens = searchTokens(query).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!tokens.length) return esc(text);
+  const re = new RegExp(`\\b((?:${tokens.join('|')})[a-z0-9]*)`, 'gi');
+  return String(text ?? '').split(re).map((part, i) => i % 2 ? `<mark>${esc(part)}</mark>` : esc(part)).join('');
+}
+
+// A query of stopwords alone ("the", "how to") searches for nothing, so it counts as none
+function getFilters() {
+  const params = new URLSearchParams(location.search);
+  const q = params.get('q') || '';
+  return { q: searchTokens(q).length ? q : '', tag: params.get('tag') || '', facets: params.getAll('facet') };
+}
+
+function setFilters(next) {
+  const f = { ...getFilters(), ...next };
+  const params = new URLSearchParams();
+  if (lang) params.set('lang', lang);
+  if (f.q) params.set('q', f.q);
+  if (f.tag) params.set('tag', f.tag);
+  f.facets.forEach(k => params.append('facet', k));
+  const qs = params.toString();
+  history.replaceState(null, '', qs ? `?${qs}` : location.pathname);
+  if (typeof render === 'function') render();
+}
+
+function hasActiveFilters() {
+  const { q, tag, facets } = getFilters();
+  return Boolean(q.trim() || tag || facets.length);
+}
+
+// Applies ?q=, ?tag= and ?facet= to a date-sorted list; ranked by relevance while searching
+function filterArticles(list) {
+  const { q, tag, facets } = getFilters();
+  if (hasActiveFilters() && hasMorePages()) {
+    loadAllPages().then(() => render()).catch(err => console.error(err));
+    return [];
+  }
+  let out = list;
+  if (tag) {
+    const t = tag.toLowerCase();
+    out = out.filter(a => [a.tag, ...(a.tags || [])].some(x => String(x).toLowerCase() === t));
+  }
+  if (facets.length) {
+    out = out.filter(a => facets.every(k => (a.facets || []).includes(k)));
+  }
+  if (q.trim()) {
+    if (!searchIndex) {
+      loadSearchIndex().then(() => render()).catch(err => console.error(err));
+      return [];
+    }
+    const scores = searchArticles(q);
+    out = out.filter(a => scores.has(a.id)).sort((a, b) => scores.get(b.id) - scores.get(a.id));
+  }
+  return out;
+}
+
+function facetLabel(key) {
+  return (indexInfo.facets || []).find(f => f.key === key)?.label || key;
+}
+
+// Toggle pills for the site's facets (no-op without a #facets element or facets)
+function renderFacets() {
+  const bar = document.getElementById('facets');
+  if (!bar) return;
+  const active = getFilters().facets;
+  bar.innerHTML = (indexInfo.facets || []).map(f => `<a class="pill${active.includes(f.key) ? ' active' : ''}" href="?facet=${encodeURIComponent(f.key)}" data-facet="${esc(f.key)}">${esc(f.label)} <small>${esc(f.count)}</small></a>`).join('');
+}
+
+// Wires the header search box (present on every page once header.html is in)
+function initSearchBox() {
+  const input = document.getElementById('q');
+  if (!input || input.dataset.bound) return;
+  input.dataset.bound = '1';
+  input.value = getFilters().q;
+  // On index.html filter in place; elsewhere the form submits to index.html?q=
+  if (document.getElementById('grid')) {
+    input.closest('form').addEventListener('submit', e => e.preventDefault());
+    input.addEventListener('input', () => setFilters({ q: input.value }));
+  }
+}
+
+document.addEventListener('click', e => {
+  const pill = e.target.closest('[data-tag], [data-facet]');
+  if (!pill || !document.getElementById('grid')) return;
+  e.preventDefault();
+  if (pill.dataset.facet) {
+    const { facets } = getFilters();
+    const key = pill.dataset.facet;
+    setFilters({ facets: facets.includes(key) ? facets.filter(k => k !== key) : [...facets, key] });
+  } else {
+    setFilters({ tag: getFilters().tag === pill.dataset.tag ? '' : pill.dataset.tag });
+  }
+});
@@ -0,0 +1,14 @@
+/**
+ * build.js — rebuilds pre-rendered pages, feeds and sitemaps (see lib/build/index.js).
+ *
+ * Run: npm run build [-- <site> …]   (default: every site in scripts/sites)
+ */
+
+import { buildAll } from "./lib/build/index.js";
+
+const names = process.argv.slice(2);
+
+buildAll(names.length ? names : undefined).catch(err => {
+  console.error("❌ Build failed:", err);
+  process.exitCode = 1;
+});
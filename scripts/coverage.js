@@ -0,0 +1,124 @@
+/**
+ * coverage.js — topic × archetype coverage report for sites with a taxonomy
+ * (site.taxonomy, see lib/taxonomy.js and scripts/taxonomies/).
+ *
+ * Run: npm run coverage [-- <site> …] [--classify | --reclassify] [--next <n>] [--json]
+ *
+ *   (default)      matrix of article counts per topic × archetype (· = gap),
+ *                  subtopics with no article, unclassified articles, and the
+ *                  cells the next daily runs will pick
+ *   --classify     store `topic` / `archetype` on records that lack them
+ *   --reclassify   recompute them for every record (overwrites planned cells)
+ *   --next <n>     how many upcoming cells to list (default 5)
+ *   --json         one JSON object per site instead of the tables
+ *
+ * Then (after --classify): npm run build
+ */
+
+import { parseArgs } from "util";
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext, writeArticles } from "./lib/engine.js";
+import { loadTaxonomy, classify, coverage, planCells } from "./lib/taxonomy.js";
+
+const { values: opts, positionals: names } = parseArgs({
+  allowPositionals: true,
+  options: {
+    classify: { type: "boolean" },
+    reclassify: { type: "boolean" },
+    next: { type: "string", default: "5" },
+    json: { type: "boolean" },
+  },
+});
+
+const GAP = "·";
+
+// ---------- classification backfill ----------
+
+function backfill(ctx, taxonomy) {
+  let changed = 0;
+  ctx.articles = ctx.articles.map(a => {
+    if (!opts.reclassify && a.topic && a.archetype) return a;
+    const auto = classify(a, taxonomy);
+    const next = { ...a };
+    delete next.topic;
+    delete next.archetype;
+    const topic = opts.reclassify ? auto.topic : a.topic || auto.topic;
+    const archetype = opts.reclassify ? auto.archetype : a.archetype || auto.archetype;
+    if (topic) next.topic = topic;
+    if (archetype) next.archetype = archetype;
+    if (next.topic === a.topic && next.archetype === a.archetype) return a;
+    changed++;
+    return next;
+  });
+  if (changed) writeArticles(ctx, ctx.articles);
+  return changed;
+}
+
+// ---------- report ----------
+
+function report(site, ctx, taxonomy) {
+  const articles = [...ctx.articles, ...ctx.pending];
+  const cov = coverage(articles, taxonomy);
+  const next = planCells(articles, taxonomy, ctx.today).slice(0, Math.max(0, Number(opts.next) || 0));
+  const gaps = [];
+  const subtopicGaps = [];
+  for (const t of taxonomy.topics) {
+    taxonomy.archetypes.forEach(a => cov.cells.get(`${t.key}|${a.key}`) || gaps.push(`${t.key}|${a.key}`));
+    (t.subtopics || []).forEach(s => cov.subtopics.get(`${t.key}/${s.key}`) || subtopicGaps.push(`${t.key}/${s.key}`));
+  }
+  const cellName = c => `${c.topic.key}${c.subtopic ? `/${c.subtopic.key}` : ""} × ${c.archetype.key}`;
+
+  if (opts.json) {
+    console.log(JSON.stringify({
+      site: site.name,
+      articles: articles.length,
+      topics: Object.fromEntries(taxonomy.topics.map(t => [t.key, cov.topics.get(t.key) || 0])),
+      cells: Object.fromEntries(cov.cells),
+      gaps,
+      subtopicGaps,
+      unclassified: cov.unclassified.map(a => a.id),
+      next: next.map(c => ({ topic: c.topic.key, subtopic: c.subtopic?.key || null, archetype: c.archetype.key, count: c.count })),
+    }));
+    return;
+  }
+
+  const rowWidth = Math.max(...taxonomy.topics.map(t => t.key.length)) + 2;
+  const cols = taxonomy.archetypes.map(a => Math.max(a.key.length, 3) + 2);
+  const cell = (v, i) => String(v).padStart(cols[i]);
+  console.log(`\n${site.name}: ${articles.length} articles (${ctx.pending.length} pending drafts), taxonomy v${taxonomy.version}\n`);
+  console.log(`${"".padEnd(rowWidth)}${taxonomy.archetypes.map((a, i) => cell(a.key, i)).join("")}   total`);
+  for (const t of taxonomy.topics) {
+    const row = taxonomy.archetypes.map((a, i) => cell(cov.cells.get(`${t.key}|${a.key}`) || GAP, i)).join("");
+    console.log(`${t.key.padEnd(rowWidth)}${row}   ${String(cov.topics.get(t.key) || 0).padStart(5)}`);
+  }
+
+  const total = taxonomy.topics.length * taxonomy.archetypes.length;
+  console.log(`\n${gaps.length} of ${total} cells empty (${GAP})`);
+  if (subtopicGaps.length) console.log(`\nSubtopics with no article (${subtopicGaps.length}):\n${subtopicGaps.map(s => `  ${s}`).join("\n")}`);
+  if (cov.unclassified.length) {
+    console.log(`\nUnclassified (${cov.unclassified.length}) — add keywords to scripts/taxonomies/${site.taxonomy}.json:`);
+    cov.unclassified.forEach(a => console.log(`  ${a.id}  ${a.title}`));
+  }
+  if (next.length) console.log(`\nNext planned cells (${ctx.today}):\n${next.map((c, i) => `  ${i + 1}. ${cellName(c)} (${c.count})`).join("\n")}`);
+}
+
+async function run() {
+  if (opts.classify && opts.reclassify) throw new Error("Use either --classify or --reclassify.");
+  const sites = (await Promise.all((names.length ? names : listSites()).map(loadSite))).filter(s => s.taxonomy);
+  if (!sites.length) throw new Error("No selected site has a taxonomy.");
+
+  for (const site of sites) {
+    const ctx = createContext(site);
+    const taxonomy = loadTaxonomy(site.taxonomy);
+    if (opts.classify || opts.reclassify) {
+      const changed = backfill(ctx, taxonomy);
+      if (!opts.json) console.log(`${site.name}: classified ${changed} of ${ctx.articles.length} articles`);
+    }
+    report(site, ctx, taxonomy);
+  }
+}
+
+run().catch(err => {
+  console.error("❌ Coverage report failed:", err);
+  process.exitCode = 1;
+});
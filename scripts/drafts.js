@@ -0,0 +1,262 @@
+/**
+ * drafts.js — review queue CLI (see lib/drafts.js). Generate with
+ * PUBLISH_MODE=review to fill it; publish moves due items into articles.json.
+ *
+ * Run: npm run drafts -- <command> …
+ *
+ *   list [site…] [--status <status>]        newest first
+ *   show <site> <id>                        full record as JSON
+ *   diff <site> <id>                        reviewer edits vs. the generated version
+ *   edit <site> <id>                        open the record in $EDITOR (re-sanitized and re-validated on save)
+ *   approve <site> <id> [--at YYYY-MM-DD]   publish at the next run, or from that date on
+ *                                           (checked against the editorial policy first)
+ *   reject <site> <id> [--reason "…"]       never publish (final); removes its self-hosted image
+ *   publish [site…]                         approved + due scheduled items → articles.json; one that
+ *                                           fails goes back to draft with its `error`
+ *
+ * Published articles are translated when TRANSLATE_LANGUAGES asks for it
+ * (lib/translations.js); each translation comes back as a draft of its own,
+ * <id>.<lang>, reviewed with the same commands and published into
+ * articles.<lang>.json.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { parseArgs } from "util";
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext, sitePaths, publishRecord, prepareRecord, prepareTranslation, publishTranslation, translateNew, checkPolicy } from "./lib/engine.js";
+import { imageFilesOf } from "./lib/images/optimize.js";
+import { todayISO, isCalendarDate, clamp } from "./lib/util.js";
+import { STATUSES, loadDrafts, saveDrafts, findDraft, isDue, setStatus, holdTranslation } from "./lib/drafts.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    status: { type: "string" },
+    at: { type: "string" },
+    reason: { type: "string" },
+  },
+});
+const [command, ...args] = positionals;
+
+// ---------- helpers ----------
+
+// Record → comparable lines; bodies are split at block-level tags
+function recordLines(record) {
+  return Object.entries(record).flatMap(([key, value]) => {
+    if (key === "body") return String(value).split(/(?=<(?:h[1-6]|p|ul|ol|li|table|blockquote)\b)/).map(l => `body: ${l.trim()}`);
+    return [`${key}: ${typeof value === "string" ? value : JSON.stringify(value)}`];
+  });
+}
+
+// Minimal LCS line diff → ["  same", "- old", "+ new", …]
+function lineDiff(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push(`  ${a[i++]}`);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push(`- ${a[i++]}`);
+    } else {
+      out.push(`+ ${b[j++]}`);
+    }
+  }
+  return out;
+}
+
+// Multi-line error (policy findings) → one list / history line
+function oneLine(message) {
+  return clamp(message.replace(/\s*\n[-\s]*/g, " "), 160);
+}
+
+// A due item that failed to publish → back to review, with the reason on it
+function backToDraft(site, drafts, item, err) {
+  item.error = err.message;
+  setStatus(item, "draft", `publish failed: ${oneLine(err.message)}`);
+  saveDrafts(site, drafts);
+  console.error(`❌ ${site.name}/${item.id} not published, back to draft: ${err.message}`);
+}
+
+function requireArgs(n, usage) {
+  if (args.length < n) throw new Error(`Usage: npm run drafts -- ${usage}`);
+}
+
+async function withDraft(usage, fn) {
+  requireArgs(2, usage);
+  const site = await loadSite(args[0]);
+  const drafts = loadDrafts(site);
+  const item = findDraft(drafts, args[1]);
+  return fn(item, site, drafts);
+}
+
+function assertStatus(item, allowed, action) {
+  if (!allowed.includes(item.status)) throw new Error(`Cannot ${action} "${item.id}": it is ${item.status}.`);
+}
+
+// ---------- commands ----------
+
+async function list() {
+  if (opts.status && !STATUSES.includes(opts.status)) throw new Error(`Unknown status "${opts.status}" (expected ${STATUSES.join(", ")}).`);
+  for (const name of args.length ? args : listSites()) {
+    const drafts = loadDrafts(await loadSite(name))
+      .filter(d => !opts.status || d.status === opts.status)
+      .sort((a, b) => (a.created < b.created ? 1 : -1));
+    for (const d of drafts) {
+      console.log(`${d.status.padEnd(9)}  ${d.publish_date}  ${name}/${d.id}  ${d.record.title}${d.error ? `  ⚠️  ${oneLine(d.error)}` : ""}`);
+    }
+  }
+}
+
+async function show() {
+  await withDraft("show <site> <id>", item => console.log(JSON.stringify(item, null, 2)));
+}
+
+async function diff() {
+  await withDraft("diff <site> <id>", item => {
+    if (!item.original) {
+      console.log(`No edits to "${item.id}" yet.`);
+      return;
+    }
+    const lines = lineDiff(recordLines(item.original), recordLines(item.record));
+    console.log(lines.filter(l => !l.startsWith("  ")).join("\n"));
+  });
+}
+
+async function edit() {
+  await withDraft("edit <site> <id>", (item, site, drafts) => {
+    assertStatus(item, ["draft", "approved", "scheduled"], "edit");
+    const file = path.join(os.tmpdir(), `${site.name}-${item.id}.json`);
+    fs.writeFileSync(file, JSON.stringify(item.record, null, 2) + "\n", "utf8");
+
+    const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+    const res = spawnSync(editor, [file], { stdio: "inherit", shell: true });
+    if (res.status !== 0) throw new Error(`${editor} exited with status ${res.status}; draft unchanged.`);
+
+    const edited = JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.rmSync(file, { force: true });
+    if (JSON.stringify(edited) === JSON.stringify(item.record)) {
+      console.log("No changes.");
+      return;
+    }
+    if (edited.id !== item.record.id || edited.lang !== item.record.lang) throw new Error("The record id and language can't be changed while editing.");
+    const record = item.lang ? prepareTranslation(sitePaths(site), edited) : prepareRecord(sitePaths(site), edited);
+
+    item.original = item.original || item.record;
+    item.record = record;
+    delete item.error;
+    // an edited draft needs a fresh approval
+    setStatus(item, "draft", "edited");
+    saveDrafts(site, drafts);
+    console.log(`Saved "${item.id}" (status: draft).`);
+  });
+}
+
+async function approve() {
+  await withDraft("approve <site> <id> [--at YYYY-MM-DD]", (item, site, drafts) => {
+    // rejected is final: reject() has already removed the draft's image
+    assertStatus(item, ["draft", "approved", "scheduled"], "approve");
+    if (opts.at && !isCalendarDate(opts.at)) throw new Error(`--at must be a date (YYYY-MM-DD), got "${opts.at}".`);
+    // the same check publish runs, so a draft that can't go out is caught now
+    // (translations follow the reviewed English text; the policy is English-only)
+    if (!item.lang) checkPolicy(site, item.record);
+    delete item.error;
+
+    if (opts.at && opts.at > todayISO()) {
+      item.publish_date = opts.at;
+      setStatus(item, "scheduled", `for ${opts.at}`);
+    } else {
+      item.publish_date = opts.at || todayISO();
+      setStatus(item, "approved");
+    }
+    saveDrafts(site, drafts);
+    console.log(`${item.status}: ${site.name}/${item.id} (publish date ${item.publish_date})`);
+  });
+}
+
+async function reject() {
+  await withDraft("reject <site> <id> [--reason \"…\"]", (item, site, drafts) => {
+    assertStatus(item, ["draft", "approved", "scheduled"], "reject");
+    setStatus(item, "rejected", opts.reason);
+    saveDrafts(site, drafts);
+
+    // the image and its variants were written when the draft was generated; nothing links to them now
+    // (a translation shares its article's, which stays)
+    if (!item.lang) imageFilesOf(sitePaths(site), item.record).forEach(f => fs.rmSync(f, { force: true }));
+    console.log(`rejected: ${site.name}/${item.id}`);
+  });
+}
+
+async function publish() {
+  for (const name of args.length ? args : listSites()) {
+    const site = await loadSite(name);
+    const drafts = loadDrafts(site);
+    const ctx = createContext(site);
+    const due = drafts.filter(d => isDue(d, ctx.today));
+    // translations of what goes out now are queued for review in turn
+    const hold = t => {
+      holdTranslation(drafts, t);
+      saveDrafts(site, drafts);
+    };
+
+    for (const item of due) {
+      if (item.lang) {
+        try {
+          item.record = publishTranslation(ctx, item.record);
+        } catch (err) {
+          backToDraft(site, drafts, item, err);
+          continue;
+        }
+        delete item.error;
+        setStatus(item, "published");
+        saveDrafts(site, drafts);
+        console.log(`🌐 Published ${name}/${item.id}`);
+        continue;
+      }
+      const known = new Set(ctx.articles.map(a => a.id));
+      let record;
+      try {
+        record = await publishRecord(site, ctx, { ...item.record, date: ctx.today });
+      } catch (err) {
+        // already in articles.json if only afterSave failed; otherwise back to review
+        record = ctx.articles.find(a => !known.has(a.id));
+        if (!record) {
+          backToDraft(site, drafts, item, err);
+          continue;
+        }
+        console.warn(`⚠️  ${name}/${record.id}: published, but ${err.message}`);
+      }
+      item.id = record.id;
+      item.record = record;
+      delete item.error;
+      setStatus(item, "published");
+      saveDrafts(site, drafts);
+      console.log(`✅ Published ${name}/${record.id}`);
+      await translateNew(site, ctx, record, { hold });
+    }
+    if (!due.length) console.log(`${name}: nothing due`);
+  }
+}
+
+const COMMANDS = { list, show, diff, edit, approve, reject, publish };
+
+async function run() {
+  const fn = COMMANDS[command];
+  if (!fn) throw new Error(`Usage: npm run drafts -- <${Object.keys(COMMANDS).join("|")}> …`);
+  await fn();
+}
+
+run().catch(err => {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,29 @@
+/**
+ * embeddings.js — backfills docs/<site>/data/embeddings.json without
+ * generating an article (see lib/embeddings/store.js).
+ *
+ * Run: npm run embeddings [-- <site> …]   (default: every site in scripts/sites)
+ *
+ * Env: EMBEDDINGS_PROVIDER and friends, see lib/embeddings/index.js
+ */
+
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext } from "./lib/engine.js";
+import { getEmbedder } from "./lib/embeddings/index.js";
+import { syncEmbeddings } from "./lib/embeddings/store.js";
+
+async function run(names) {
+  const embedder = getEmbedder();
+  for (const name of names) {
+    const ctx = createContext(await loadSite(name));
+    const store = await syncEmbeddings(ctx, embedder);
+    console.log(`${name}: ${Object.keys(store.vectors).length} vectors (${store.model})`);
+  }
+}
+
+const names = process.argv.slice(2);
+
+run(names.length ? names : listSites()).catch(err => {
+  console.error("❌ Embedding backfill failed:", err);
+  process.exitCode = 1;
+});
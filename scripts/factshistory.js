@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * factshistory.js — content management for published articles.
+ *
+ * Run: npm run factshistory -- <command> <site> …   (or `factshistory …` once npm-linked)
+ *
+ *   list <site> [--tag <tag>] [--limit <n>]        newest first
+ *   show <site> <id> [--full]                      record as JSON (body shortened unless --full)
+ *   search <site> <query…>                         same ranking as the site search box
+ *   delete <site> <id> [--yes]                     record + image files + site state (registry, embeddings,
+ *                                                  related lists, translations)
+ *   tags <site> <id> [--set a,b] [--add t]… [--remove t]… [--primary t]
+ *   regen-image <site> <id>                        new image (and variants) via the site's image naming scheme
+ *   regen-body <site> <id>                         new body from the LLM; id, URL and image stay
+ *                                                  (refused if it breaks the site's editorial policy);
+ *                                                  re-embedded, related lists and inline links redone
+ *   updated <site> <id> [--date YYYY-MM-DD | --clear]
+ *
+ * Commands that change articles.json print a reminder to `npm run build`.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { loadSite } from "./sites/index.js";
+import { createContext, writeArticles, requestDraft, generateImage, prepareRecord, checkPolicy } from "./lib/engine.js";
+import { imageFilesOf } from "./lib/images/optimize.js";
+import { removeEmbeddings } from "./lib/embeddings/store.js";
+import { forgetRelated, refreshRelated, addInlineLinks } from "./lib/related.js";
+import { removeTranslations, translatedLanguages } from "./lib/translations.js";
+import { imageProvenance } from "./lib/provenance.js";
+import { rankArticles } from "./lib/build/search.js";
+import { clamp, htmlToText, slugify, isCalendarDate } from "./lib/util.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    tag: { type: "string" },
+    limit: { type: "string" },
+    full: { type: "boolean" },
+    yes: { type: "boolean" },
+    set: { type: "string" },
+    add: { type: "string", multiple: true },
+    remove: { type: "string", multiple: true },
+    primary: { type: "string" },
+    date: { type: "string" },
+    clear: { type: "boolean" },
+  },
+});
+const [command, siteName, ...args] = positionals;
+
+// ---------- helpers ----------
+
+function usage(line) {
+  return new Error(`Usage: npm run factshistory -- ${line}`);
+}
+
+function findArticle(ctx, id) {
+  const article = ctx.articles.find(a => a.id === id);
+  if (!article) throw new Error(`No ${ctx.site.name} article "${id}".`);
+  return article;
+}
+
+// Replaces one record in articles.json after re-sanitizing and re-validating it
+function saveArticle(ctx, record) {
+  record = prepareRecord(ctx, record);
+  ctx.articles = ctx.articles.map(a => (a.id === record.id ? record : a));
+  writeArticles(ctx, ctx.articles);
+  console.log("Run `npm run build` to refresh pages, feeds and search.");
+}
+
+function line(a) {
+  return `${a.date}  ${a.id}  ${a.title}`;
+}
+
+// ---------- commands ----------
+
+function list(ctx) {
+  const limit = opts.limit == null ? undefined : Number(opts.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`--limit must be a positive whole number, got "${opts.limit}".\n${usage("list <site> [--tag <tag>] [--limit <n>]").message}`);
+  }
+  const tag = opts.tag?.toLowerCase();
+  const rows = ctx.articles
+    .filter(a => !tag || [a.tag, ...(a.tags || [])].some(t => String(t).toLowerCase() === tag))
+    .slice(0, limit);
+  rows.forEach(a => console.log(line(a)));
+  console.log(`${rows.length} of ${ctx.articles.length} articles`);
+}
+
+function show(ctx) {
+  if (!args[0]) throw usage("show <site> <id> [--full]");
+  const a = findArticle(ctx, args[0]);
+  console.log(JSON.stringify(opts.full ? a : { ...a, body: clamp(htmlToText(a.body), 300) }, null, 2));
+}
+
+function search(ctx) {
+  if (!args.length) throw usage("search <site> <query…>");
+  const hits = rankArticles(ctx.articles, args.join(" "));
+  hits.forEach(({ article, score }) => console.log(`${String(score).padStart(4)}  ${line(article)}`));
+  console.log(`${hits.length} matches`);
+}
+
+async function remove(ctx, site) {
+  if (!args[0]) throw usage("delete <site> <id> [--yes]");
+  const a = findArticle(ctx, args[0]);
+  const files = imageFilesOf(ctx, a);
+
+  if (!opts.yes) {
+    console.log(`Would delete ${site.name}/${a.id} “${a.title}”`);
+    files.forEach(f => console.log(`  and ${path.relative(process.cwd(), f)}`));
+    console.log("Re-run with --yes to delete.");
+    return;
+  }
+
+  ctx.articles = forgetRelated(ctx.articles.filter(x => x.id !== a.id), [a.id]);
+  writeArticles(ctx, ctx.articles);
+  files.forEach(f => fs.rmSync(f, { force: true }));
+  removeEmbeddings(ctx, [a.id]);
+  const translations = removeTranslations(ctx, [a.id]);
+  if (site.afterDelete) await site.afterDelete(a, ctx);
+
+  console.log(`🗑  Deleted ${site.name}/${a.id} (${files.length} image file(s), ${translations} translation(s))`);
+  console.log("Run `npm run build` to refresh pages, feeds and search.");
+}
+
+function tags(ctx) {
+  if (!args[0]) throw usage("tags <site> <id> [--set a,b] [--add t]… [--remove t]… [--primary t]");
+  const a = findArticle(ctx, args[0]);
+  if (!opts.set && !opts.add && !opts.remove && !opts.primary) {
+    console.log(`tag: ${a.tag}\ntags: ${(a.tags || []).join(", ")}`);
+    return;
+  }
+
+  let next = opts.set ? opts.set.split(",") : [...(a.tags || [])];
+  next = next.concat(opts.add || []).map(t => t.trim()).filter(Boolean);
+  const drop = new Set((opts.remove || []).map(t => t.trim().toLowerCase()));
+  next = [...new Set(next)].filter(t => !drop.has(t.toLowerCase()));
+
+  saveArticle(ctx, { ...a, tag: opts.primary?.trim() || a.tag, tags: next });
+  console.log(`tags for ${a.id}: ${next.join(", ")}`);
+}
+
+async function regenImage(ctx, site) {
+  if (!args[0]) throw usage("regen-image <site> <id>");
+  const a = findArticle(ctx, args[0]);
+  const draft = site.fromRecord?.(a);
+  if (!draft) throw new Error(`${site.name}/${a.id} can't be mapped back to a draft (no fromRecord() or no structured data).`);
+
+  const old = imageFilesOf(ctx, a);
+  const image = await generateImage(site, draft, ctx);
+  const next = { ...a, image: image.url, image_meta: image.meta };
+  if (!image.meta) delete next.image_meta;
+  if (a.provenance) next.provenance = { ...a.provenance, image: imageProvenance(image) };
+  saveArticle(ctx, next);
+  const kept = new Set(imageFilesOf(ctx, next));
+  old.filter(f => !kept.has(f)).forEach(f => fs.rmSync(f, { force: true }));
+  console.log(`🖼  ${a.id}: ${image.url} (${image.provider})`);
+}
+
+async function regenBody(ctx, site) {
+  if (!args[0]) throw usage("regen-body <site> <id>");
+  const a = findArticle(ctx, args[0]);
+  if (!site.rewritePrompt) throw new Error(`${site.name} has no rewritePrompt() hook.`);
+
+  const raw = await requestDraft(site, ctx, site.rewritePrompt(a, ctx));
+  const fresh = site.toRecord(site.normalize(raw, ctx), { url: a.image }, ctx);
+  if (slugify(fresh.title) !== slugify(a.title)) {
+    throw new Error(`The model wrote “${fresh.title}” instead of “${a.title}”; nothing written.`);
+  }
+  // keep identity (id → URL), image and publish date; take the new text
+  let next = { ...a, body: fresh.body, updated: ctx.today };
+  if (fresh.plant) next.plant = fresh.plant;
+  checkPolicy(site, next);
+
+  // as for a new article: embed the new text, redo related lists, link the body
+  ctx.articles = ctx.articles.map(x => (x.id === a.id ? next : x));
+  try {
+    removeEmbeddings(ctx, [a.id]);
+    await refreshRelated(ctx);
+    next = ctx.articles.find(x => x.id === a.id);
+    if (site.inlineLinks) next = addInlineLinks(next, ctx, site.inlineLinks);
+  } catch (err) {
+    // the body is fine; the next publish or npm run related catches up
+    console.warn(`⚠️  Related articles not refreshed: ${err.message}`);
+  }
+  saveArticle(ctx, next);
+  console.log(`✍️  ${a.id}: body regenerated (${htmlToText(fresh.body).split(" ").length} words)`);
+  if (translatedLanguages(ctx).length) console.log(`Translations are now stale: npm run translate -- ${site.name} --id ${a.id} --stale`);
+}
+
+function updated(ctx) {
+  const line = "updated <site> <id> [--date YYYY-MM-DD | --clear]";
+  if (!args[0]) throw usage(line);
+  if (opts.date != null && !isCalendarDate(opts.date)) {
+    throw new Error(`--date must be a date (YYYY-MM-DD), got "${opts.date}".\n${usage(line).message}`);
+  }
+  const a = findArticle(ctx, args[0]);
+  const rest = { ...a };
+  delete rest.updated;
+  if (opts.clear) {
+    saveArticle(ctx, rest);
+    console.log(`${a.id}: updated date cleared`);
+    return;
+  }
+  const date = opts.date || ctx.today;
+  if (date < a.date) throw new Error(`updated (${date}) can't be before the publish date (${a.date}).`);
+  saveArticle(ctx, { ...rest, updated: date });
+  console.log(`${a.id}: updated ${date}`);
+}
+
+const COMMANDS = {
+  list,
+  show,
+  search,
+  delete: remove,
+  tags,
+  "regen-image": regenImage,
+  "regen-body": regenBody,
+  updated,
+};
+
+async function run() {
+  const fn = COMMANDS[command];
+  if (!fn || !siteName) throw usage(`<${Object.keys(COMMANDS).join("|")}> <site> …`);
+  const site = await loadSite(siteName);
+  await fn(createContext(site), site);
+}
+
+run().catch(err => {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,131 @@
+/**
+ * images.js — maintenance for the self-hosted images in docs/<site>/images.
+ *
+ * Run: npm run images -- <command> [<site> …] [options]   (default: every site in scripts/sites)
+ *
+ *   optimize [--force]   store `image_meta` (real format, dimensions) and write the
+ *                        WebP/AVIF variants for every published and pending record;
+ *                        image URLs stay as published. --force re-encodes variants.
+ *                        Variants are git-ignored: the daily workflows write the
+ *                        missing ones before building; run this once after a clone.
+ *   orphans [--delete]   list image files no article, pending draft or site page
+ *                        refers to; --delete removes them
+ *
+ * Then (after optimize): npm run build
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext, writeArticles } from "./lib/engine.js";
+import { loadDrafts, saveDrafts, isPending } from "./lib/drafts.js";
+import { optimizeImage, canWriteVariants, imageFilesOf, localImagePath, EXTENSIONS } from "./lib/images/optimize.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    force: { type: "boolean" },
+    delete: { type: "boolean" },
+  },
+});
+const [command, ...names] = positionals;
+
+const IMAGE_FILE_RE = new RegExp(`\\.(?:${[...new Set([...Object.values(EXTENSIONS), "jpeg"])].join("|")})$`, "i");
+
+// ---------- optimize ----------
+
+// Record with fresh image_meta, or the same object when nothing changed
+async function optimizeRecord(ctx, record) {
+  const file = localImagePath(ctx, record.image);
+  if (!file) return record;
+  if (!fs.existsSync(file)) {
+    console.warn(`⚠️  ${record.id}: ${path.relative(process.cwd(), file)} is missing`);
+    return record;
+  }
+  const { meta } = await optimizeImage(ctx, path.relative(ctx.imagesDir, file), { force: opts.force });
+  if (JSON.stringify(meta) === JSON.stringify(record.image_meta)) return record;
+  return { ...record, image_meta: meta };
+}
+
+async function optimize(site) {
+  // without sharp every record would lose its variants
+  if (!(await canWriteVariants())) throw new Error("optimize needs the sharp package (npm install sharp).");
+  const ctx = createContext(site);
+  let changed = 0;
+  const articles = [];
+  for (const a of ctx.articles) {
+    const next = await optimizeRecord(ctx, a);
+    if (next !== a) changed++;
+    articles.push(next);
+  }
+  if (changed) writeArticles(ctx, articles);
+
+  const drafts = loadDrafts(site);
+  let draftsChanged = 0;
+  for (const item of drafts.filter(isPending)) {
+    const next = await optimizeRecord(ctx, item.record);
+    if (next === item.record) continue;
+    item.record = next;
+    draftsChanged++;
+  }
+  if (draftsChanged) saveDrafts(site, drafts);
+
+  const variants = articles.reduce((n, a) => n + (a.image_meta?.variants?.length || 0), 0);
+  console.log(`${site.name}: image_meta updated on ${changed} of ${articles.length} articles and ${draftsChanged} drafts (${variants} variants)`);
+}
+
+// ---------- orphans ----------
+
+// images/… names linked from the site's own pages and stylesheet (logos, icons)
+function staticReferences(ctx) {
+  const names = new Set();
+  for (const f of fs.readdirSync(ctx.siteDir)) {
+    if (!/\.(?:html|css|js)$/i.test(f)) continue;
+    const text = fs.readFileSync(path.join(ctx.siteDir, f), "utf8");
+    for (const m of text.matchAll(/images\/([^"'()\s?#]+)/g)) names.add(path.join(ctx.imagesDir, decodeURIComponent(m[1])));
+  }
+  return names;
+}
+
+function orphans(site) {
+  const ctx = createContext(site);
+  if (!fs.existsSync(ctx.imagesDir)) return;
+
+  const records = [...ctx.articles, ...ctx.pending];
+  const used = staticReferences(ctx);
+  for (const r of records) {
+    imageFilesOf(ctx, r).forEach(f => used.add(f));
+    for (const m of String(r.body || "").matchAll(/<img\b[^>]*\bsrc="([^"]+)"/gi)) {
+      const file = localImagePath(ctx, m[1]);
+      if (file) used.add(file);
+    }
+  }
+
+  const unused = fs.readdirSync(ctx.imagesDir)
+    .filter(f => IMAGE_FILE_RE.test(f))
+    .map(f => path.join(ctx.imagesDir, f))
+    .filter(f => !used.has(f));
+  const bytes = unused.reduce((n, f) => n + fs.statSync(f).size, 0);
+
+  unused.forEach(f => console.log(`  ${path.relative(process.cwd(), f)}`));
+  if (opts.delete) unused.forEach(f => fs.rmSync(f, { force: true }));
+  const verb = opts.delete ? "deleted" : "unreferenced";
+  console.log(`${site.name}: ${unused.length} ${verb} image file(s), ${(bytes / 1024).toFixed(1)} KiB`);
+}
+
+// ---------- main ----------
+
+const COMMANDS = { optimize, orphans };
+
+async function run() {
+  const handler = COMMANDS[command];
+  if (!handler) throw new Error(`Usage: npm run images -- <${Object.keys(COMMANDS).join("|")}> [<site> …] [--force | --delete]`);
+  for (const name of names.length ? names : listSites()) await handler(await loadSite(name));
+  if (command === "orphans" && !opts.delete) console.log("Re-run with --delete to remove them.");
+}
+
+run().catch(err => {
+  console.error("❌ Image maintenance failed:", err);
+  process.exitCode = 1;
+});
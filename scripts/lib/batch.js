@@ -0,0 +1,143 @@
+/**
+ * batch.js — batch / backfill runs (runBatch in engine.js): which dates to
+ * generate, and a checkpoint so an interrupted run resumes without duplicates.
+ *
+ *   npm run insurance -- --count 5                           five articles dated today
+ *   npm run insurance -- --from 2025-01-01 --to 2025-01-31   one per day, back-dated
+ *   npm run insurance -- --from 2025-01-01 --count 10        ten days starting --from
+ *     --concurrency <n>   articles in flight at once (default 1)
+ *     --fresh             drop an unfinished checkpoint instead of resuming it
+ *
+ * API limits: LLM_CONCURRENCY / LLM_RPM and IMAGE_CONCURRENCY / IMAGE_RPM
+ * (lib/ratelimit.js).
+ *
+ * Checkpoint: drafts/<site>.batch.json (next to the review queue, DRAFTS_DIR),
+ * deleted once every slot is done. Re-running the same command resumes it:
+ *   { args: { count, from, to }, created, slots: [{ date, status, id?, title? }] }
+ * status: "todo" | "publishing" (written just before the record is saved) | "done"
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { draftsPath } from "./drafts.js";
+import { readJSONSafe, writeJSON, isCalendarDate } from "./util.js";
+
+const MAX_ITEMS = 366;
+
+// ---------- arguments ----------
+
+function isoDate(value, flag) {
+  if (!isCalendarDate(value)) {
+    throw new Error(`--${flag} must be a date (YYYY-MM-DD), got "${value}".`);
+  }
+  return value;
+}
+
+function positiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--${flag} must be a whole number ≥ 1, got "${value}".`);
+  return n;
+}
+
+// → null for the usual one-article run, else { count, from, to, concurrency, fresh }
+export function parseBatchArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      count: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      concurrency: { type: "string", default: "1" },
+      fresh: { type: "boolean" },
+    },
+  });
+  if (!values.count && !values.from && !values.to) return null;
+  if (values.to && !values.from) throw new Error("--to needs --from.");
+  return {
+    count: values.count ? positiveInt(values.count, "count") : null,
+    from: values.from ? isoDate(values.from, "from") : null,
+    to: values.to ? isoDate(values.to, "to") : null,
+    concurrency: positiveInt(values.concurrency, "concurrency"),
+    fresh: Boolean(values.fresh),
+  };
+}
+
+function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// One date per article: --count alone repeats today; a range has one per day
+export function batchDates({ count, from, to }, today) {
+  if (count > MAX_ITEMS) throw new Error(`A batch is limited to ${MAX_ITEMS} articles.`);
+  if (!from) return Array(count).fill(today);
+  const last = to || (count ? addDays(from, count - 1) : today);
+  if (last < from) throw new Error(`--to (${last}) is before --from (${from}).`);
+  if (last > today) throw new Error(`${last} is in the future; batch runs only back-date (use PUBLISH_MODE=review and schedule drafts instead).`);
+
+  const dates = [];
+  for (let d = from; d <= last && dates.length <= MAX_ITEMS; d = addDays(d, 1)) dates.push(d);
+  if (dates.length > MAX_ITEMS) throw new Error(`A batch is limited to ${MAX_ITEMS} articles (one per day from ${from}).`);
+  return count ? dates.slice(0, count) : dates;
+}
+
+// ---------- checkpoint ----------
+
+export function checkpointPath(site) {
+  return path.join(path.dirname(draftsPath(site)), `${site.name}.batch.json`);
+}
+
+function sameArgs(a, b) {
+  return a.count === b.count && a.from === b.from && a.to === b.to;
+}
+
+// The unfinished checkpoint for these arguments, or a new one
+export function openCheckpoint(site, opts, today) {
+  const file = checkpointPath(site);
+  const args = { count: opts.count, from: opts.from, to: opts.to };
+  const existing = readJSONSafe(file, null);
+
+  if (existing && !opts.fresh) {
+    if (!sameArgs(existing.args, args)) {
+      const was = Object.entries(existing.args).filter(([, v]) => v != null).map(([k, v]) => `--${k} ${v}`).join(" ");
+      throw new Error(`${file} holds an unfinished batch (${was}); re-run it with those options to resume, or add --fresh to drop it.`);
+    }
+    return existing;
+  }
+  // dates are fixed when the batch starts, so "--count 5" resumed tomorrow stays dated today
+  return { args, created: new Date().toISOString(), slots: batchDates(opts, today).map(date => ({ date, status: "todo" })) };
+}
+
+// Slots interrupted between "publishing" and "done": done when the record made it out
+export function settleCheckpoint(checkpoint, records) {
+  const saved = new Map(records.map(r => [`${r.date}|${r.title}`, r.id]));
+  for (const slot of checkpoint.slots) {
+    if (slot.status !== "publishing") continue;
+    const id = saved.get(`${slot.date}|${slot.title}`);
+    Object.assign(slot, id ? { status: "done", id } : { status: "todo" });
+    if (!id) delete slot.title;
+  }
+  return checkpoint;
+}
+
+export function saveCheckpoint(site, checkpoint) {
+  writeJSON(checkpointPath(site), checkpoint);
+}
+
+export function clearCheckpoint(site) {
+  fs.rmSync(checkpointPath(site), { force: true });
+}
+
+// ---------- concurrency ----------
+
+// Runs the functions passed to it one at a time, in call order
+export function createLock() {
+  let tail = Promise.resolve();
+  return fn => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
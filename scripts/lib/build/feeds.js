@@ -0,0 +1,135 @@
+/**
+ * feeds.js — RSS 2.0 (feed.xml), Atom (atom.xml) and JSON Feed 1.1 (feed.json)
+ * for a site, written into docs/<site>/.
+ *
+ * Items carry the excerpt, full body, image enclosure and tags as categories.
+ * GUIDs are derived from the article id only, so they survive URL changes.
+ */
+
+import fs from "fs";
+import path from "path";
+import { htmlEsc } from "../util.js";
+import { localImagePath, MIME_TYPES } from "../images/optimize.js";
+import { absoluteUrl } from "../engine.js";
+import { articleUrl } from "./pages.js";
+
+const FEED_LIMIT = 50; // newest N articles per feed
+
+const IMAGE_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp", avif: "image/avif", svg: "image/svg+xml", gif: "image/gif" };
+
+export function feedGuid(site, id) {
+  return `urn:factshistory:${site.name}:${id}`;
+}
+
+function categories(a) {
+  return [...new Set([a.tag, ...(a.tags || [])].filter(Boolean))];
+}
+
+// length/type for the enclosure; local files give a real byte size, and
+// image_meta the real format (older .png files hold JPEG bytes)
+function imageInfo(ctx, a) {
+  const ext = String(a.image).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  const file = localImagePath(ctx, a.image);
+  let length = 0;
+  if (file) {
+    try {
+      length = fs.statSync(file).size;
+    } catch {
+      // not on disk (yet); 0 is allowed
+    }
+  }
+  return { type: MIME_TYPES[a.image_meta?.format] || IMAGE_TYPES[ext] || "image/jpeg", length };
+}
+
+// Feed readers have no page to resolve "images/…" against
+function absoluteBody(ctx, html) {
+  return String(html || "").replace(/(<img\b[^>]*?\ssrc=")([^"]*)"/gi, (m, head, url) => `${head}${absoluteUrl(ctx, url)}"`);
+}
+
+export function renderRSS(site, ctx, articles) {
+  const items = articles.map(a => {
+    const img = a.image ? imageInfo(ctx, a) : null;
+    return `    <item>
+      <title>${htmlEsc(a.title)}</title>
+      <link>${htmlEsc(articleUrl(ctx, a.id))}</link>
+      <guid isPermaLink="false">${htmlEsc(feedGuid(site, a.id))}</guid>
+      <pubDate>${new Date(a.date).toUTCString()}</pubDate>
+      <dc:creator>${htmlEsc(a.author || "")}</dc:creator>
+${categories(a).map(t => `      <category>${htmlEsc(t)}</category>`).join("\n")}
+      <description>${htmlEsc(a.excerpt || "")}</description>
+      <content:encoded>${htmlEsc(absoluteBody(ctx, a.body))}</content:encoded>
+${img ? `      <enclosure url="${htmlEsc(absoluteUrl(ctx, a.image))}" length="${img.length}" type="${img.type}" />\n` : ""}    </item>`;
+  }).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${htmlEsc(site.title)}</title>
+    <link>${htmlEsc(ctx.baseUrl)}/</link>
+    <description>${htmlEsc(site.description || site.title)}</description>
+    <language>en</language>
+    <atom:link href="${htmlEsc(ctx.baseUrl)}/feed.xml" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${new Date(articles[0]?.date || Date.now()).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(site, ctx, articles) {
+  const entries = articles.map(a => `  <entry>
+    <title>${htmlEsc(a.title)}</title>
+    <id>${htmlEsc(feedGuid(site, a.id))}</id>
+    <link rel="alternate" type="text/html" href="${htmlEsc(articleUrl(ctx, a.id))}" />
+${a.image ? `    <link rel="enclosure" href="${htmlEsc(absoluteUrl(ctx, a.image))}" type="${imageInfo(ctx, a).type}" />\n` : ""}    <published>${new Date(a.date).toISOString()}</published>
+    <updated>${new Date(a.updated || a.date).toISOString()}</updated>
+    <author><name>${htmlEsc(a.author || "")}</name></author>
+${categories(a).map(t => `    <category term="${htmlEsc(t)}" />`).join("\n")}
+    <summary>${htmlEsc(a.excerpt || "")}</summary>
+    <content type="html">${htmlEsc(absoluteBody(ctx, a.body))}</content>
+  </entry>`).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${htmlEsc(site.title)}</title>
+  <subtitle>${htmlEsc(site.description || site.title)}</subtitle>
+  <id>urn:factshistory:${htmlEsc(site.name)}</id>
+  <link rel="alternate" type="text/html" href="${htmlEsc(ctx.baseUrl)}/" />
+  <link rel="self" type="application/atom+xml" href="${htmlEsc(ctx.baseUrl)}/atom.xml" />
+  <updated>${new Date(articles[0]?.updated || articles[0]?.date || Date.now()).toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+export function renderJSONFeed(site, ctx, articles) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: site.title,
+    description: site.description || site.title,
+    home_page_url: `${ctx.baseUrl}/`,
+    feed_url: `${ctx.baseUrl}/feed.json`,
+    language: "en",
+    items: articles.map(a => ({
+      id: feedGuid(site, a.id),
+      url: articleUrl(ctx, a.id),
+      title: a.title,
+      summary: a.excerpt,
+      content_html: absoluteBody(ctx, a.body),
+      image: absoluteUrl(ctx, a.image) || undefined,
+      date_published: new Date(a.date).toISOString(),
+      date_modified: a.updated ? new Date(a.updated).toISOString() : undefined,
+      authors: [{ name: a.author }],
+      tags: categories(a),
+      attachments: a.image ? [{ url: absoluteUrl(ctx, a.image), mime_type: imageInfo(ctx, a).type }] : undefined,
+    })),
+  };
+}
+
+export function buildFeeds(site, ctx, articles) {
+  const latest = articles.slice(0, FEED_LIMIT);
+  fs.writeFileSync(path.join(ctx.siteDir, "feed.xml"), renderRSS(site, ctx, latest), "utf8");
+  fs.writeFileSync(path.join(ctx.siteDir, "atom.xml"), renderAtom(site, ctx, latest), "utf8");
+  fs.writeFileSync(path.join(ctx.siteDir, "feed.json"), JSON.stringify(renderJSONFeed(site, ctx, latest), null, 2) + "\n", "utf8");
+  console.log(`Wrote feed.xml, atom.xml, feed.json for ${site.name} (${latest.length} items)`);
+}
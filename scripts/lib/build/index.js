@@ -0,0 +1,86 @@
+/**
+ * build/index.js — regenerates the static outputs derived from articles.json.
+ *
+ * Steps per site (bodies are passed through lib/sanitize.js first, so hand
+ * edits to articles.json can't smuggle markup into pages, feeds or shards;
+ * image variants that aren't on disk are dropped from `image_meta`, since
+ * they are git-ignored and written by npm run images -- optimize):
+ *  - pages: docs/<site>/articles/<id>/index.html (pre-rendered, SEO metadata)
+ *  - feeds: docs/<site>/feed.xml, atom.xml, feed.json
+ *  - search: docs/<site>/data/search.json (client-side search index)
+ *  - shards: docs/<site>/data/index/page-<n>.json + data/articles/<id>.json
+ *
+ * Translations (data/articles.<lang>.json, see lib/translations.js) get their own
+ * pages (articles/<id>/<lang>/), search index, index pages and article files.
+ *
+ * Then, across every site folder in docs/:
+ *  - sitemaps: docs/<site>/sitemap.xml, docs/sitemap.xml (index), docs/robots.txt
+ *    (host-root deploys only, see sitemap.js)
+ */
+
+import { listSites, loadSite } from "../../sites/index.js";
+import { sitePaths, readArticles, byDateDesc } from "../engine.js";
+import { buildPages } from "./pages.js";
+import { buildFeeds } from "./feeds.js";
+import { buildSitemaps } from "./sitemap.js";
+import { buildSearchIndex } from "./search.js";
+import { buildShards } from "./shards.js";
+import { sanitizeHTML } from "../sanitize.js";
+import { shippedImageMeta } from "../images/optimize.js";
+import { translatedLanguages, readTranslations, isStale } from "../translations.js";
+
+function sanitized(site, ctx, record, label = record.id) {
+  const { html, removed } = sanitizeHTML(record.body, { imgBaseUrl: ctx.imgBaseUrl });
+  if (removed.length) console.warn(`⚠️  ${site.name}/${label}: removed from body: ${removed.join(", ")}`);
+  return { ...record, body: html };
+}
+
+// Records whose image_meta lists only variant files this build can serve
+function withShippedVariants(site, ctx, articles) {
+  let missing = 0;
+  const out = articles.map(a => {
+    const meta = shippedImageMeta(ctx, a.image_meta);
+    if (meta === a.image_meta) return a;
+    missing += a.image_meta.variants.length - meta.variants.length;
+    return { ...a, image_meta: meta };
+  });
+  if (missing) console.warn(`⚠️  ${site.name}: ${missing} image variant(s) not on disk, left out of pages (npm run images -- optimize ${site.name})`);
+  return out;
+}
+
+// lang → Map(id → the article with its translated text); translations of
+// deleted articles are dropped, stale ones still served until re-translated
+function readTranslated(site, ctx, articles) {
+  const byId = new Map(articles.map(a => [a.id, a]));
+  const out = new Map();
+  for (const lang of translatedLanguages(ctx)) {
+    const translated = new Map();
+    let stale = 0;
+    for (const t of readTranslations(ctx, lang)) {
+      const a = byId.get(t.id);
+      if (!a) continue;
+      if (isStale(t, a)) stale++;
+      const { title, excerpt, tag, tags, body } = t;
+      translated.set(a.id, sanitized(site, ctx, { ...a, title, excerpt, tag, tags, body, lang }, `${a.id} (${lang})`));
+    }
+    if (stale) console.warn(`⚠️  ${site.name}: ${stale} ${lang} translation(s) stale (npm run translate -- ${site.name} --stale)`);
+    if (translated.size) out.set(lang, translated);
+  }
+  return out;
+}
+
+export async function buildSite(site) {
+  const ctx = sitePaths(site);
+  const articles = withShippedVariants(site, ctx, readArticles(ctx).sort(byDateDesc).map(a => sanitized(site, ctx, a)));
+  const translations = readTranslated(site, ctx, articles);
+
+  buildPages(site, ctx, articles, translations);
+  buildFeeds(site, ctx, articles);
+  buildSearchIndex(site, ctx, articles, translations);
+  buildShards(site, ctx, articles, translations);
+}
+
+export async function buildAll(names = listSites()) {
+  for (const name of names) await buildSite(await loadSite(name));
+  buildSitemaps();
+}
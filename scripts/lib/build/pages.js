@@ -0,0 +1,225 @@
+/**
+ * pages.js — pre-renders every article into docs/<site>/articles/<id>/index.html
+ * so crawlers and link previews get real content and metadata:
+ *
+ *  - <title>, meta description (excerpt), canonical URL
+ *  - Open Graph / Twitter card tags using the article image
+ *  - the hero as <picture> with AVIF/WebP variants from `image_meta`
+ *  - JSON-LD Article markup
+ *  - "Related reading" from the record's `related` ids
+ *  - for sites with `facets`, a pill per facet the article matches, linking to
+ *    the index filtered by it (index.html?facet=<key>)
+ *
+ * Translations get docs/<site>/articles/<id>/<lang>/index.html with localized
+ * labels and dates; every version of an article lists the others as hreflang
+ * alternates (English as x-default) and in a language switcher.
+ *
+ * Header/footer are inlined and <base href="../../"> (one more ../ for a
+ * translation) keeps every relative link (style.css, images/, index.html)
+ * pointing at the site root.
+ */
+
+import fs from "fs";
+import path from "path";
+import { htmlEsc } from "../util.js";
+import { absoluteUrl } from "../engine.js";
+import { relatedCards, facetsOf } from "./shards.js";
+import { DEFAULT_LANG, labelsFor, dateLocale, articleLanguages, languageList, localize } from "../translations.js";
+
+// Site-relative path of an article page; a translation lives one folder down
+export function articlePath(id, lang = DEFAULT_LANG) {
+  return `articles/${encodeURIComponent(id)}/${lang === DEFAULT_LANG ? "" : `${encodeURIComponent(lang)}/`}`;
+}
+
+export function articleUrl(ctx, id, lang = DEFAULT_LANG) {
+  return `${ctx.baseUrl}/${articlePath(id, lang)}`;
+}
+
+export function formatDate(iso, lang = DEFAULT_LANG) {
+  return new Date(iso).toLocaleDateString(dateLocale(lang), { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+// Page link for a record or card; translated ones carry `lang`
+const hrefOf = a => articlePath(a.id, a.lang);
+
+function readPart(ctx, file) {
+  try {
+    return fs.readFileSync(path.join(ctx.siteDir, file), "utf8");
+  } catch {
+    return "";
+  }
+}
+
+// stylesheet/font <link>s from the site's own article.html, so pages keep its look
+function headLinks(ctx) {
+  const head = readPart(ctx, "article.html").match(/<head>([\s\S]*?)<\/head>/i)?.[1] || "";
+  const links = head.match(/<link\b[^>]*>/gi) || [];
+  return links.length ? links.join("\n  ") : `<link rel="stylesheet" href="style.css">`;
+}
+
+function jsonLd(site, ctx, a, lang) {
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "Article",
+    headline: a.title,
+    description: a.excerpt,
+    image: a.image ? [absoluteUrl(ctx, a.image)] : undefined,
+    datePublished: a.date,
+    dateModified: a.updated || a.date,
+    author: { "@type": "Person", name: a.author },
+    publisher: { "@type": "Organization", name: site.title },
+    mainEntityOfPage: { "@type": "WebPage", "@id": articleUrl(ctx, a.id, lang) },
+    keywords: (a.tags || []).join(", "),
+    inLanguage: lang,
+    translationOfWork: lang === DEFAULT_LANG ? undefined : { "@id": articleUrl(ctx, a.id) },
+  };
+  return JSON.stringify(data, null, 2).replace(/</g, "\\u003c");
+}
+
+const SOURCE_TYPES = { avif: "image/avif", webp: "image/webp" };
+
+// Same markup as picture() in the site's shared.js; the hero is above the fold, so not lazy
+function heroPicture(a) {
+  const meta = a.image_meta || {};
+  const variants = meta.variants || [];
+  const srcset = list => list.map(v => `${htmlEsc(v.url)} ${v.width}w`).join(", ");
+  const sources = Object.keys(SOURCE_TYPES)
+    .map(format => variants.filter(v => v.format === format))
+    .filter(list => list.length)
+    .map(list => `<source type="${SOURCE_TYPES[list[0].format]}" srcset="${srcset(list)}" sizes="100vw">`);
+  const thumbs = variants.filter(v => v.format === meta.format);
+  const attrs = [
+    `class="hero-img"`,
+    `src="${htmlEsc(a.image || "")}"`,
+    thumbs.length && meta.width && `srcset="${srcset([...thumbs, { url: a.image, width: meta.width }])}" sizes="100vw"`,
+    meta.width && meta.height && `width="${meta.width}" height="${meta.height}"`,
+    `alt="${htmlEsc(a.title)}"`,
+    `fetchpriority="high"`,
+    `decoding="async"`,
+  ].filter(Boolean);
+  return `<picture>${sources.join("")}<img ${attrs.join(" ")}></picture>`;
+}
+
+function relatedBlock(related, lang, labels) {
+  if (!related.length) return "";
+  const items = related.map(r => `<li><a href="${hrefOf(r)}">${htmlEsc(r.title)}</a> <span class="muted">${formatDate(r.date, lang)}</span></li>`);
+  return `<section class="related" id="related">
+        <h2>${htmlEsc(labels.related)}</h2>
+        <ul>
+          ${items.join("\n          ")}
+        </ul>
+      </section>`;
+}
+
+function facetNav(site, a, lang, labels) {
+  const facets = facetsOf(site, a);
+  if (!facets.length) return "";
+  const langParam = lang === DEFAULT_LANG ? "" : `&amp;lang=${encodeURIComponent(lang)}`;
+  const links = facets.map(f => `<a class="pill" href="index.html?facet=${encodeURIComponent(f.key)}${langParam}">${htmlEsc(f.label)}</a>`);
+  return `<nav class="row facets" aria-label="${htmlEsc(labels.facets)}"><span class="muted">${htmlEsc(labels.facets)}:</span> ${links.join(" ")}</nav>`;
+}
+
+function alternateLinks(ctx, id, languages) {
+  if (languages.length < 2) return "";
+  const links = [...languages, "x-default"].map(l => `  <link rel="alternate" hreflang="${l}" href="${htmlEsc(articleUrl(ctx, id, l === "x-default" ? DEFAULT_LANG : l))}">`);
+  return `${links.join("\n")}\n`;
+}
+
+function languageNav(id, lang, languages, labels) {
+  if (languages.length < 2) return "";
+  const links = languageList(languages).map(({ code, name }) => code === lang
+    ? `<strong aria-current="page" lang="${code}">${htmlEsc(name)}</strong>`
+    : `<a href="${articlePath(id, code)}" hreflang="${code}" lang="${code}">${htmlEsc(name)}</a>`);
+  return `<nav class="langs" aria-label="${htmlEsc(labels.languages)}">${links.join(" · ")}</nav>`;
+}
+
+export function renderArticlePage(site, ctx, a, { prev, next, related = [], languages = [DEFAULT_LANG] } = {}) {
+  const lang = a.lang || DEFAULT_LANG;
+  const labels = labelsFor(site, lang);
+  const url = articleUrl(ctx, a.id, lang);
+  const title = `${a.title} — ${site.title}`;
+  const pn = [
+    prev ? `<a href="${hrefOf(prev)}"><div class="muted">${htmlEsc(labels.previous)}</div><div>${htmlEsc(prev.title)}</div></a>` : "",
+    next ? `<a href="${hrefOf(next)}"><div class="muted">${htmlEsc(labels.next)}</div><div>${htmlEsc(next.title)}</div></a>` : "",
+  ].filter(Boolean).join("\n        ");
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <base href="${lang === DEFAULT_LANG ? "../../" : "../../../"}">
+  <title>${htmlEsc(title)}</title>
+  <meta name="description" content="${htmlEsc(a.excerpt || "")}">
+  <link rel="canonical" href="${htmlEsc(url)}">
+${alternateLinks(ctx, a.id, languages)}  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="${htmlEsc(site.title)}">
+  <meta property="og:title" content="${htmlEsc(a.title)}">
+  <meta property="og:description" content="${htmlEsc(a.excerpt || "")}">
+  <meta property="og:url" content="${htmlEsc(url)}">
+  <meta property="og:image" content="${htmlEsc(absoluteUrl(ctx, a.image) || "")}">
+${a.image_meta?.width ? `  <meta property="og:image:width" content="${a.image_meta.width}">\n  <meta property="og:image:height" content="${a.image_meta.height}">\n` : ""}  <meta property="article:published_time" content="${htmlEsc(a.date)}">
+${(a.tags || []).map(t => `  <meta property="article:tag" content="${htmlEsc(t)}">`).join("\n")}
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${htmlEsc(a.title)}">
+  <meta name="twitter:description" content="${htmlEsc(a.excerpt || "")}">
+  <meta name="twitter:image" content="${htmlEsc(absoluteUrl(ctx, a.image) || "")}">
+  ${headLinks(ctx)}
+  <script type="application/ld+json">
+${jsonLd(site, ctx, a, lang)}
+  </script>
+</head>
+<body>
+  <div id="header">${readPart(ctx, "header.html")}</div>
+
+  <main id="post" class="container article">
+    ${heroPicture(a)}
+    <article>
+      <div class="meta"><span>${htmlEsc(a.tag || "")}</span> • <time datetime="${htmlEsc(a.date)}">${formatDate(a.date, lang)}</time></div>
+      <h1>${htmlEsc(a.title)}</h1>
+      <div class="byline"><div>${htmlEsc(labels.by)} <strong>${htmlEsc(a.author || "")}</strong></div><div class="tags"><span class="tag">${htmlEsc(a.tag || "")}</span></div></div>
+      ${languageNav(a.id, lang, languages, labels)}
+      ${a.body}
+      ${facetNav(site, a, lang, labels)}
+      ${relatedBlock(related, lang, labels)}
+      <div class="prevnext" id="pn">
+        ${pn}
+      </div>
+    </article>
+  </main>
+
+  <div id="footer">${readPart(ctx, "footer.html")}</div>
+  <script>
+    const y = document.getElementById('year');
+    if (y) y.textContent = new Date().getFullYear();
+  </script>
+</body>
+</html>
+`;
+}
+
+// One page per article in `lang`; prev/next and related links go to the
+// translation where there is one, to the English page otherwise
+function writePages(site, ctx, outDir, list, lang, translations) {
+  const ordered = [...list].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const byId = new Map(list.map(a => [a.id, a]));
+  let written = 0;
+  ordered.forEach((a, i) => {
+    if ((a.lang || DEFAULT_LANG) !== lang) return;
+    const dir = path.join(outDir, a.id, lang === DEFAULT_LANG ? "" : lang);
+    fs.mkdirSync(dir, { recursive: true });
+    const page = renderArticlePage(site, ctx, a, { prev: ordered[i - 1], next: ordered[i + 1], related: relatedCards(a, byId), languages: articleLanguages(a.id, translations) });
+    fs.writeFileSync(path.join(dir, "index.html"), page, "utf8");
+    written++;
+  });
+  return written;
+}
+
+export function buildPages(site, ctx, articles, translations = new Map()) {
+  const outDir = path.join(ctx.siteDir, "articles");
+  fs.rmSync(outDir, { recursive: true, force: true });
+
+  const count = writePages(site, ctx, outDir, articles, DEFAULT_LANG, translations);
+  const translated = [...translations.keys()].map(lang => `${writePages(site, ctx, outDir, localize(articles, translations, lang), lang, translations)} ${lang}`);
+  console.log(`Pre-rendered ${count} pages${translated.length ? ` (+ ${translated.join(", ")})` : ""} into ${outDir}`);
+}
@@ -0,0 +1,98 @@
+/**
+ * search.js — builds docs/<site>/data/search.json, a small inverted index
+ * over title, excerpt, tags and body text used by the client-side search box.
+ *
+ * Format:
+ *   {
+ *     version: 1,
+ *     ids: ["article-id", …],                      // doc number → article id
+ *     terms: { "deductible": [doc, weight, doc, weight, …], … }
+ *   }
+ *
+ * Weights are field-boosted term counts (title 5, tags 3, excerpt 2, body 1).
+ * Each translation language gets data/search.<lang>.json over what its readers
+ * see: translated text where there is some, English otherwise.
+ * searchTokens() and STOPWORDS must stay in sync with their copies in docs/<site>/search.js.
+ */
+
+import fs from "fs";
+import path from "path";
+import { htmlToText } from "../util.js";
+import { localize } from "../translations.js";
+
+const FIELD_BOOST = { title: 5, tags: 3, excerpt: 2, body: 1 };
+
+const STOPWORDS = new Set(("a an and are as at be but by for from has have how in into is it its of on or " +
+  "that the their this to was what when where which who why will with you your").split(" "));
+
+export function searchTokens(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// term → field-boosted count for one article
+function termWeights(a) {
+  const weights = new Map();
+  const fields = {
+    title: a.title,
+    tags: [a.tag, ...(a.tags || [])].join(" "),
+    excerpt: a.excerpt,
+    body: htmlToText(a.body),
+  };
+  for (const [field, text] of Object.entries(fields)) {
+    for (const t of searchTokens(text)) weights.set(t, (weights.get(t) || 0) + FIELD_BOOST[field]);
+  }
+  return weights;
+}
+
+// Server-side twin of the browser search: every term must match (the last
+// as a prefix) → [{ article, score }], best first
+export function rankArticles(articles, query) {
+  const tokens = searchTokens(query);
+  if (!tokens.length) return [];
+  return articles
+    .map(article => {
+      const weights = termWeights(article);
+      let score = 0;
+      for (const [i, tok] of tokens.entries()) {
+        const prefix = i === tokens.length - 1 && tok.length >= 3;
+        const hit = [...weights].filter(([t]) => t === tok || (prefix && t.startsWith(tok))).reduce((s, [, w]) => s + w, 0);
+        if (!hit) return null;
+        score += hit;
+      }
+      return { article, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+function writeSearchIndex(out, articles) {
+  const terms = new Map();
+
+  articles.forEach((a, doc) => {
+    const weights = termWeights(a);
+    for (const [t, w] of weights) {
+      if (!terms.has(t)) terms.set(t, []);
+      terms.get(t).push(doc, w);
+    }
+  });
+
+  const index = {
+    version: 1,
+    ids: articles.map(a => a.id),
+    terms: Object.fromEntries([...terms].sort(([a], [b]) => (a < b ? -1 : 1))),
+  };
+  fs.writeFileSync(out, JSON.stringify(index), "utf8");
+  console.log(`Wrote ${out} (${terms.size} terms)`);
+}
+
+export function buildSearchIndex(site, ctx, articles, translations = new Map()) {
+  writeSearchIndex(path.join(ctx.dataDir, "search.json"), articles);
+  for (const lang of translations.keys()) {
+    writeSearchIndex(path.join(ctx.dataDir, `search.${lang}.json`), localize(articles, translations, lang));
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * shards.js — splits articles.json into what the browser actually needs:
+ *
+ *  - docs/<site>/data/index/page-<n>.json  lightweight cards (no bodies), newest first
+ *      { page, pages, total, pageSize, facets?, items: [{ id, title, excerpt, date, image, image_meta?, tag, tags, author, facets? }] }
+ *    Sites with `facets` get each card's matching facet keys plus the facet
+ *    list ({ key, label, count }) on every page, for the index.html filters.
+ *  - docs/<site>/data/articles/<id>.json   one full record (+ prev/next) per article;
+ *      with `facets`, the ones it matches ([{ key, label }]) for the article page's links;
+ *      `related` ids are resolved to [{ id, title, date, image }] for "Related reading";
+ *      `provenance` (generation metadata, lib/provenance.js) stays in articles.json
+ *
+ * With translations (lib/translations.js) there is also, per language:
+ *  - data/index/<lang>/page-<n>.json  the same pages, translated cards (`lang` set)
+ *      where there is a translation and English ones otherwise
+ *  - data/articles/<id>.<lang>.json   each translated record
+ * and every index page lists the site's `languages` ([{ code, name }]), every
+ * article file the languages that article reads in.
+ *
+ * articles.json stays the generator's source of truth; pages never load it.
+ */
+
+import fs from "fs";
+import path from "path";
+import { DEFAULT_LANG, articleLanguages, languageList, localize } from "../translations.js";
+
+export const PAGE_SIZE = 24;
+
+// Site facets a record matches → [{ key, label }]
+export function facetsOf(site, a) {
+  return (site.facets || []).filter(f => f.test(a)).map(({ key, label }) => ({ key, label }));
+}
+
+export function cardOf(a, site = {}) {
+  const card = {
+    id: a.id,
+    title: a.title,
+    excerpt: a.excerpt,
+    date: a.date,
+    image: a.image,
+    tag: a.tag,
+    tags: a.tags || [],
+    author: a.author,
+  };
+  if (a.lang) card.lang = a.lang;
+  // dimensions + responsive variants for <picture> (lib/images/optimize.js)
+  if (a.image_meta) card.image_meta = a.image_meta;
+  if (site.facets) card.facets = facetsOf(site, a).map(f => f.key);
+  return card;
+}
+
+function rewriteDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+// Related ids → small cards; ids of deleted articles are skipped
+export function relatedCards(a, byId) {
+  return (a.related || [])
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map(r => ({ id: r.id, title: r.title, date: r.date, image: r.image, ...(r.lang ? { lang: r.lang } : {}) }));
+}
+
+const linkOf = a => (a ? { id: a.id, title: a.title, ...(a.lang ? { lang: a.lang } : {}) } : null);
+
+function writeIndexPages(site, dir, list, languages) {
+  fs.mkdirSync(dir, { recursive: true });
+  const cards = list.map(a => cardOf(a, site));
+  const facets = site.facets?.map(({ key, label }) => ({ key, label, count: cards.filter(c => c.facets.includes(key)).length }));
+
+  const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+  for (let page = 1; page <= pages; page++) {
+    const items = cards.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+    const data = { page, pages, total: list.length, pageSize: PAGE_SIZE, facets, languages, items };
+    fs.writeFileSync(path.join(dir, `page-${page}.json`), JSON.stringify(data), "utf8");
+  }
+  return pages;
+}
+
+// One file per article in `lang` (newest first list: "previous" (older) is the next entry)
+function writeArticleFiles(site, dir, list, lang, translations) {
+  const byId = new Map(list.map(a => [a.id, a]));
+  let written = 0;
+  list.forEach((a, i) => {
+    if ((a.lang || DEFAULT_LANG) !== lang) return;
+    const { provenance, ...record } = a;
+    const data = {
+      ...record,
+      prev: linkOf(list[i + 1]),
+      next: linkOf(list[i - 1]),
+      related: relatedCards(a, byId),
+    };
+    if (site.facets) data.facets = facetsOf(site, a);
+    if (translations.size) data.languages = languageList(articleLanguages(a.id, translations));
+    const file = lang === DEFAULT_LANG ? `${a.id}.json` : `${a.id}.${lang}.json`;
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data), "utf8");
+    written++;
+  });
+  return written;
+}
+
+export function buildShards(site, ctx, articles, translations = new Map()) {
+  const indexDir = path.join(ctx.dataDir, "index");
+  const bodiesDir = path.join(ctx.dataDir, "articles");
+  rewriteDir(indexDir);
+  rewriteDir(bodiesDir);
+
+  const languages = translations.size ? languageList([DEFAULT_LANG, ...translations.keys()]) : undefined;
+  const pages = writeIndexPages(site, indexDir, articles, languages);
+  const count = writeArticleFiles(site, bodiesDir, articles, DEFAULT_LANG, translations);
+
+  const translated = [...translations.keys()].map(lang => {
+    const list = localize(articles, translations, lang);
+    writeIndexPages(site, path.join(indexDir, lang), list, languages);
+    return `${writeArticleFiles(site, bodiesDir, list, lang, translations)} ${lang}`;
+  });
+  console.log(`Wrote ${pages} index pages + ${count} article files${translated.length ? ` (+ ${translated.join(", ")})` : ""} for ${site.name}`);
+}
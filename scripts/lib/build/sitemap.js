@@ -0,0 +1,89 @@
+/**
+ * sitemap.js — sitemaps for every site folder under docs/ and the root files
+ * that point crawlers at them:
+ *
+ *  - docs/<site>/sitemap.xml  (home + pre-rendered articles, lastmod, image:image;
+ *                              translated pages too, each version listing the
+ *                              others as xhtml:link hreflang alternates)
+ *  - docs/sitemap.xml         (sitemap index)
+ *  - docs/robots.txt          only when SITE_BASE_URL is a host root (a custom
+ *                              domain): crawlers read robots.txt at the root of
+ *                              the host alone, so under a project Pages path
+ *                              (…github.io/factshistory) it would do nothing. There,
+ *                              submit docs/sitemap.xml in Search Console instead.
+ *
+ * Any docs/<dir> with a data/articles.json counts as a site, so verticals
+ * scaffolded from docs/template are picked up without extra config.
+ */
+
+import fs from "fs";
+import path from "path";
+import { DOCS_DIR, htmlEsc } from "../util.js";
+import { SITE_BASE_URL, sitePaths, readArticles, absoluteUrl } from "../engine.js";
+import { articleUrl } from "./pages.js";
+import { DEFAULT_LANG, translatedLanguages, readTranslations } from "../translations.js";
+
+export function listSiteDirs() {
+  return fs.readdirSync(DOCS_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(DOCS_DIR, d.name, "data", "articles.json")))
+    .map(d => d.name)
+    .sort();
+}
+
+function urlEntry({ loc, lastmod, image, alternates = [] }) {
+  const links = alternates.map(({ lang, href }) => `    <xhtml:link rel="alternate" hreflang="${lang}" href="${htmlEsc(href)}"/>\n`).join("");
+  return `  <url>
+    <loc>${htmlEsc(loc)}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ""}${links}${image ? `    <image:image><image:loc>${htmlEsc(image)}</image:loc></image:image>\n` : ""}  </url>`;
+}
+
+// lang → Map(id → translation) for the articles that still exist
+function readTranslated(ctx, articles) {
+  const ids = new Set(articles.map(a => a.id));
+  return new Map(translatedLanguages(ctx).map(lang => [lang, new Map(readTranslations(ctx, lang).filter(t => ids.has(t.id)).map(t => [t.id, t]))]));
+}
+
+export function renderSiteSitemap(ctx, articles, translated = new Map()) {
+  const newest = articles.map(a => a.updated || a.date).sort().at(-1);
+  const urls = [urlEntry({ loc: `${ctx.baseUrl}/`, lastmod: newest })];
+  for (const a of articles) {
+    const versions = [...translated].filter(([, byId]) => byId.has(a.id)).map(([lang, byId]) => ({ lang, lastmod: byId.get(a.id).translated }));
+    const alternates = versions.length
+      ? [{ lang: DEFAULT_LANG }, ...versions, { lang: "x-default" }].map(({ lang }) => ({ lang, href: articleUrl(ctx, a.id, lang === "x-default" ? DEFAULT_LANG : lang) }))
+      : [];
+    const image = absoluteUrl(ctx, a.image);
+    urls.push(urlEntry({ loc: articleUrl(ctx, a.id), lastmod: a.updated || a.date, image, alternates }));
+    for (const { lang, lastmod } of versions) urls.push(urlEntry({ loc: articleUrl(ctx, a.id, lang), lastmod, image, alternates }));
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+export function buildSitemaps() {
+  const entries = [];
+  for (const name of listSiteDirs()) {
+    const ctx = sitePaths({ name });
+    const articles = readArticles(ctx);
+    fs.writeFileSync(path.join(ctx.siteDir, "sitemap.xml"), renderSiteSitemap(ctx, articles, readTranslated(ctx, articles)), "utf8");
+    entries.push({ loc: `${ctx.baseUrl}/sitemap.xml`, lastmod: articles.map(a => a.updated || a.date).sort().at(-1) });
+  }
+
+  const index = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(e => `  <sitemap>
+    <loc>${htmlEsc(e.loc)}</loc>
+${e.lastmod ? `    <lastmod>${e.lastmod}</lastmod>\n` : ""}  </sitemap>`).join("\n")}
+</sitemapindex>
+`;
+  fs.writeFileSync(path.join(DOCS_DIR, "sitemap.xml"), index, "utf8");
+  const robots = path.join(DOCS_DIR, "robots.txt");
+  if (new URL(SITE_BASE_URL).pathname === "/") {
+    fs.writeFileSync(robots, `User-agent: *\nAllow: /\n\nSitemap: ${SITE_BASE_URL}/sitemap.xml\n`, "utf8");
+  } else {
+    fs.rmSync(robots, { force: true });
+  }
+  console.log(`Wrote sitemaps for ${entries.length} sites + ${path.join(DOCS_DIR, "sitemap.xml")}${fs.existsSync(robots) ? " + robots.txt" : ` (no robots.txt under ${SITE_BASE_URL}: submit ${SITE_BASE_URL}/sitemap.xml in Search Console)`}`);
+}
@@ -0,0 +1,86 @@
+/**
+ * drafts.js — editorial review queue, one file per site: drafts/<site>.json
+ * (outside docs/, so nothing here is deployed).
+ *
+ *   [{
+ *     id, status, created, publish_date,   // publish_date: YYYY-MM-DD, earliest go-live
+ *     record: { …articles.json record },
+ *     original?: { …record as generated },  // kept once the draft has been edited
+ *     error?,                              // why the last publish failed (cleared on edit / approve)
+ *     history: [{ at, action, note? }]
+ *   }, …]
+ *
+ * A translation of a published article (lib/translations.js) is held the same
+ * way when the site runs in review mode: id "<article id>.<lang>", plus `lang`,
+ * with the translation as `record`; publishing it writes articles.<lang>.json.
+ *
+ * Statuses:
+ *   draft      generated, waiting for review
+ *   approved   publish at the next publish run
+ *   scheduled  publish once publish_date has arrived
+ *   rejected   never published (kept for the record; final, its image is gone)
+ *   published  moved into articles.json
+ *
+ * Env:
+ *  - DRAFTS_DIR (default ./drafts)
+ */
+
+import path from "path";
+import { ROOT_DIR, readJSONSafe, writeJSON } from "./util.js";
+
+export const STATUSES = ["draft", "approved", "scheduled", "rejected", "published"];
+const PENDING = new Set(["draft", "approved", "scheduled"]);
+
+export function draftsPath(site) {
+  return path.join(process.env.DRAFTS_DIR || path.join(ROOT_DIR, "drafts"), `${site.name}.json`);
+}
+
+export function loadDrafts(site) {
+  const list = readJSONSafe(draftsPath(site), []);
+  if (!Array.isArray(list)) throw new Error(`${draftsPath(site)} is not an array.`);
+  return list;
+}
+
+export function saveDrafts(site, list) {
+  writeJSON(draftsPath(site), list);
+}
+
+// A pending item wins over rejected / published ones that share its id (re-translations)
+export function findDraft(list, id) {
+  const item = list.find(d => d.id === id && isPending(d)) || list.find(d => d.id === id);
+  if (!item) throw new Error(`No draft "${id}".`);
+  return item;
+}
+
+export function isPending(item) {
+  return PENDING.has(item.status);
+}
+
+// Approved items go out at the next run; scheduled ones once their date arrives
+export function isDue(item, today) {
+  return item.status === "approved" || (item.status === "scheduled" && item.publish_date <= today);
+}
+
+export function setStatus(item, status, note) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown status "${status}" (expected ${STATUSES.join(", ")}).`);
+  item.status = status;
+  item.history.push({ at: new Date().toISOString(), action: status, ...(note ? { note } : {}) });
+}
+
+export function createDraft(record) {
+  const item = { id: record.id, status: "draft", created: new Date().toISOString(), publish_date: record.date, record, history: [] };
+  setStatus(item, "draft", "generated");
+  return item;
+}
+
+// Queues a translation for review, replacing one still pending for the same article
+// and language → the item (the caller saves the list)
+export function holdTranslation(list, translation) {
+  const id = `${translation.id}.${translation.lang}`;
+  const item = { id, lang: translation.lang, status: "draft", created: new Date().toISOString(), publish_date: translation.translated, record: translation, history: [] };
+  setStatus(item, "draft", "translated");
+  const index = list.findIndex(d => d.id === id && isPending(d));
+  if (index === -1) list.push(item);
+  else list.splice(index, 1, item);
+  return item;
+}
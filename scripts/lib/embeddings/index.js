@@ -0,0 +1,40 @@
+/**
+ * embeddings/index.js — picks the embedding provider for this run.
+ *
+ * Provider interface:
+ *   { name, model, threshold, embed(texts) → vectors, weigh?(corpus) → (vector → vector) }
+ *
+ *  - model      identifies the vector space; a store built with another model is rebuilt
+ *  - threshold  default cosine similarity at which a draft counts as a repeat
+ *  - weigh      optional corpus-dependent reweighting applied before comparing
+ *
+ * Env:
+ *  - EMBEDDINGS_PROVIDER: "openai" | "tfidf"
+ *      (default openai when OPENAI_API_KEY is set and LLM_PROVIDER isn't mock, otherwise tfidf)
+ *      openai  /embeddings API (see openai.js)
+ *      tfidf   local hashed TF-IDF vectors, no network, no key
+ */
+
+import { createOpenAIEmbedder } from "./openai.js";
+import { createTfidfEmbedder } from "./tfidf.js";
+
+const PROVIDERS = {
+  openai: () => createOpenAIEmbedder(),
+  tfidf: () => createTfidfEmbedder(),
+};
+
+let current = null;
+
+function defaultProvider() {
+  const offline = (process.env.LLM_PROVIDER || "").trim().toLowerCase() === "mock";
+  return process.env.OPENAI_API_KEY && !offline ? "openai" : "tfidf";
+}
+
+export function getEmbedder() {
+  if (current) return current;
+  const name = (process.env.EMBEDDINGS_PROVIDER || defaultProvider()).trim().toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown EMBEDDINGS_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")}).`);
+  current = factory();
+  return current;
+}
@@ -0,0 +1,57 @@
+/**
+ * openai.js — /embeddings against api.openai.com or any OpenAI-compatible server.
+ *
+ * Vectors come back unit-length; they are shortened to EMBEDDINGS_DIMS and
+ * rounded so the store beside articles.json stays small.
+ *
+ * Env:
+ *  - OPENAI_API_KEY       (required for api.openai.com; optional elsewhere)
+ *  - EMBEDDINGS_BASE_URL  (default LLM_BASE_URL, then https://api.openai.com/v1)
+ *  - EMBEDDINGS_MODEL     (default text-embedding-3-small)
+ *  - EMBEDDINGS_DIMS      (default 256)
+ */
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const BATCH_SIZE = 32;
+
+export function createOpenAIEmbedder({
+  baseUrl = process.env.EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL || OPENAI_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY || "",
+  model = (process.env.EMBEDDINGS_MODEL || "text-embedding-3-small").trim(),
+  dims = Number(process.env.EMBEDDINGS_DIMS) || 256,
+} = {}) {
+  baseUrl = baseUrl.replace(/\/$/, "");
+
+  async function embedBatch(input) {
+    if (!apiKey && baseUrl === OPENAI_BASE_URL) throw new Error("OPENAI_API_KEY missing.");
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(`${baseUrl}/embeddings`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, input, dimensions: dims }),
+    });
+
+    if (!res.ok) {
+      const errText = await res.text().catch(() => "");
+      throw new Error(`Embeddings error ${res.status}: ${errText}`);
+    }
+
+    const data = await res.json();
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(d => d.embedding.map(x => Math.round(x * 1e5) / 1e5));
+  }
+
+  async function embed(texts) {
+    const out = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      out.push(...await embedBatch(texts.slice(i, i + BATCH_SIZE)));
+    }
+    return out;
+  }
+
+  return { name: "openai", model: `${model}@${dims}`, threshold: 0.8, embed };
+}
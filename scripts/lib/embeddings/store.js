@@ -0,0 +1,108 @@
+/**
+ * store.js — per-site embedding store, docs/<site>/data/embeddings.json:
+ *
+ *   { provider, model, vectors: { "<article-id>": vector, … } }
+ *
+ * One line per article so daily commits diff cleanly. syncEmbeddings()
+ * backfills missing articles and drops deleted ones; a store written by a
+ * different model (or one that doesn't parse) is discarded and rebuilt from scratch.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJSONSafe, htmlToText } from "../util.js";
+
+const MAX_TEXT = 6000; // chars of body text per article
+
+export function embeddingsPath(ctx) {
+  return path.join(ctx.dataDir, "embeddings.json");
+}
+
+// First line is the "topic" (title + tags); providers may weigh it higher
+export function embeddingText({ title, tags = [], excerpt = "", body = "" }) {
+  return `${title} ${tags.join(" ")}\n${excerpt}\n${htmlToText(body).slice(0, MAX_TEXT)}`;
+}
+
+// Stored articles.json record → embeddingText
+export function articleText(a) {
+  return embeddingText({ ...a, tags: [a.tag, ...(a.tags || [])] });
+}
+
+// The store is a cache: one that doesn't parse is rebuilt like one from another model
+function readStore(ctx) {
+  try {
+    return readJSONSafe(embeddingsPath(ctx), null);
+  } catch (e) {
+    console.warn(`⚠️  ${e.message}; rebuilding the embedding store`);
+    return null;
+  }
+}
+
+export function loadEmbeddings(ctx, embedder) {
+  const store = readStore(ctx);
+  if (store && store.model === embedder.model && store.vectors) return store;
+  return { provider: embedder.name, model: embedder.model, vectors: {} };
+}
+
+export function saveEmbeddings(ctx, store) {
+  const lines = Object.entries(store.vectors).map(([id, v]) => `    ${JSON.stringify(id)}: ${JSON.stringify(v)}`);
+  const head = `  "provider": ${JSON.stringify(store.provider)},\n  "model": ${JSON.stringify(store.model)},\n`;
+  fs.mkdirSync(path.dirname(embeddingsPath(ctx)), { recursive: true });
+  fs.writeFileSync(embeddingsPath(ctx), `{\n${head}  "vectors": {\n${lines.join(",\n")}\n  }\n}\n`, "utf8");
+}
+
+// Backfill vectors for every article in ctx.articles; → store
+export async function syncEmbeddings(ctx, embedder) {
+  const store = loadEmbeddings(ctx, embedder);
+  const ids = new Set(ctx.articles.map(a => a.id));
+  const stale = Object.keys(store.vectors).filter(id => !ids.has(id));
+  const missing = ctx.articles.filter(a => !store.vectors[a.id]);
+
+  stale.forEach(id => delete store.vectors[id]);
+  if (missing.length) {
+    console.log(`Embedding ${missing.length} article(s) with ${embedder.name} (${embedder.model})…`);
+    const vectors = await embedder.embed(missing.map(articleText));
+    missing.forEach((a, i) => { store.vectors[a.id] = vectors[i]; });
+  }
+  if (stale.length || missing.length) saveEmbeddings(ctx, store);
+  return store;
+}
+
+// Drops vectors for deleted articles, whatever model wrote the store
+export function removeEmbeddings(ctx, ids) {
+  const store = readStore(ctx);
+  if (!store?.vectors || !ids.some(id => store.vectors[id])) return;
+  ids.forEach(id => delete store.vectors[id]);
+  saveEmbeddings(ctx, store);
+}
+
+// ---------- similarity ----------
+
+// Dense arrays or sparse [[index, value], …] pairs
+export function cosine(a, b) {
+  if (Array.isArray(a[0])) {
+    const m = new Map(b);
+    let dot = 0;
+    for (const [i, x] of a) dot += x * (m.get(i) || 0);
+    const norm = v => Math.sqrt(v.reduce((s, [, x]) => s + x * x, 0));
+    return dot / (norm(a) * norm(b) || 1);
+  }
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na * nb) || 1);
+}
+
+// Most similar stored articles to `vector`, best first → [{ id, score }]
+export function nearest(store, embedder, vector, k = 5) {
+  const entries = Object.entries(store.vectors);
+  const weigh = embedder.weigh ? embedder.weigh(entries.map(([, v]) => v)) : v => v;
+  const q = weigh(vector);
+  return entries
+    .map(([id, v]) => ({ id, score: cosine(q, weigh(v)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
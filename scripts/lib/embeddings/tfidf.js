@@ -0,0 +1,64 @@
+/**
+ * tfidf.js — offline embeddings: hashed term counts, IDF-weighted at
+ * comparison time.
+ *
+ * Stored vectors are sparse [[bucket, count], …] pairs, so they don't depend
+ * on the rest of the archive; weigh() derives IDF from whatever vectors are
+ * in the store when a draft is compared. Title and tags count extra, since
+ * they name the topic more reliably than body prose.
+ */
+
+import { htmlToText } from "../util.js";
+
+const BUCKETS = 1 << 20;
+const TITLE_BOOST = 3;
+
+const STOPWORDS = new Set(("a about after all also an and any are as at be because been before but by can could do does " +
+  "each even for from get has have how however if in into is it its just like may more most much must no not of on " +
+  "one only or other our out over own same should so some such than that the their them then there these they this " +
+  "those through to too under up us very was we were what when where whether which while who why will with would you your").split(" "));
+
+function tokens(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 2 && !STOPWORDS.has(t))
+    .map(t => t.replace(/ies$/, "y").replace(/([^s])s$/, "$1")); // crude plural folding
+}
+
+// FNV-1a, folded into BUCKETS
+function bucket(term) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    h ^= term.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % BUCKETS;
+}
+
+function termCounts(text) {
+  const [head, ...rest] = String(text).split("\n");
+  const counts = new Map();
+  const add = (t, n) => counts.set(bucket(t), (counts.get(bucket(t)) || 0) + n);
+  tokens(head).forEach(t => add(t, TITLE_BOOST));
+  tokens(htmlToText(rest.join(" "))).forEach(t => add(t, 1));
+  return [...counts].sort((a, b) => a[0] - b[0]);
+}
+
+export function createTfidfEmbedder() {
+  async function embed(texts) {
+    return texts.map(termCounts);
+  }
+
+  // → (vector → IDF-weighted vector) for the given corpus
+  function weigh(corpus) {
+    const df = new Map();
+    for (const v of corpus) for (const [i] of v) df.set(i, (df.get(i) || 0) + 1);
+    const N = corpus.length + 1;
+    return v => v.map(([i, c]) => [i, (1 + Math.log(c)) * Math.log(1 + N / ((df.get(i) || 0) + 1))]);
+  }
+
+  return { name: "tfidf", model: `hashed-${BUCKETS}`, threshold: 0.5, embed, weigh };
+}
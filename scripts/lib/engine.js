@@ -0,0 +1,588 @@
+/**
+ * engine.js — site-agnostic daily article pipeline.
+ *
+ * A "site" (vertical) is a plain config object, see scripts/sites/*.js:
+ *
+ *   {
+ *     name: "insurance",                  // folder under docs/
+ *     title: "Daily Insurance Insight",
+ *     description: "…",                   // feeds / channel description
+ *     system: "…",                        // LLM system message
+ *     temperature: 0.85,
+ *     maxAttempts: 4,                     // draft attempts before giving up
+ *     image: { width, height, ext },      // Text2Img size / extension (optional)
+ *     draftSchema: "insurance-draft",     // optional; scripts/schemas/<name>.json for the raw LLM JSON
+ *
+ *     prepare(ctx)                        // optional; load extra state into ctx
+ *     buildPrompt(ctx)                    // → user prompt string
+ *     normalize(raw, ctx)                 // → draft (LLM JSON cleaned up)
+ *     checkDraft(draft, ctx)              // optional, may be async; → null, a rejection reason,
+ *                                         //   or { reason, …details } (kept in ctx.rejected for re-prompts)
+ *     imagePrompt(draft, ctx)             // → Text2Img prompt
+ *     imageCard(draft, ctx)               // optional; → { title, tag } for placeholder cards
+ *     imageName(draft, ctx)               // → file base name (no extension) in docs/<name>/images
+ *     toRecord(draft, image, ctx)         // → articles.json record
+ *     afterSave(record, draft, ctx)       // optional; persist extra state once the record is public
+ *                                         //   (draft is null when a reviewed draft is published)
+ *     renderBody(record)                  // optional; → body rebuilt from the record's stored
+ *                                         //   structured fields, or null (npm run rerender)
+ *     fromRecord(record)                  // optional; → draft-shaped object for an existing record
+ *                                         //   (image / body regeneration in scripts/factshistory.js)
+ *     rewritePrompt(record, ctx)          // optional; → prompt for a fresh draft on the SAME topic
+ *     afterDelete(record, ctx)            // optional; drop extra state for a deleted record
+ *     facets: [{ key, label, test(record) }]  // optional; index.html card filters, article page links
+ *     lint: [rule, …]                     // optional; editorial policy rule pack (lib/lint.js)
+ *     inlineLinks: 3                      // optional; max links from a new body to related articles
+ *     taxonomy: "insurance"               // optional; scripts/taxonomies/<name>.json — topic × archetype
+ *                                         //   coverage report (lib/taxonomy.js, npm run coverage)
+ *     disclaimer: "…"                     // optional; the body's closing disclaimer line
+ *     languages: { es: { disclaimer }, … }  // optional; translated variants of every new article
+ *                                         //   (lib/translations.js, npm run translate)
+ *   }
+ *
+ * Pipeline: prompt → LLM JSON → schema check (targeted repair re-prompts)
+ * → normalize → checkDraft + editorial lint (re-prompt on rejection) → image (real format,
+ * WebP/AVIF variants, lib/images/optimize.js) → record →
+ * related articles (+ inline links) → unique id → body sanitizer + article schema check
+ * → articles.json (newest first), or → drafts/<site>.json for review (see lib/drafts.js,
+ * scripts/drafts.js). Publishing refreshes every record's related list (lib/related.js).
+ * Once published, an article is translated into the site's languages
+ * (data/articles.<lang>.json); a failed translation only warns.
+ *
+ * Every generated record carries a `provenance` block (model, prompt hash, attempts,
+ * rejections, image provider, token usage; lib/provenance.js), and every run of
+ * main() appends a line to logs/<site>.jsonl (lib/runlog.js, npm run runs).
+ *
+ * Batch / backfill (runBatch, lib/batch.js): `--count N` or `--from/--to` on the
+ * generate scripts runs the pipeline per slot, up to --concurrency at once, with
+ * a resumable checkpoint. Drafts are screened one at a time and an accepted
+ * draft joins ctx.pending right away, so later items are checked against it.
+ *
+ * Env:
+ *  - PUBLISH_MODE: "direct" (default, straight into articles.json) | "review" (hold as a draft)
+ *  - SANITIZE_MODE: "strip" (default, drop disallowed markup with a warning) | "reject"
+ *    (fail when a body carries scripts, event handlers or unsafe URLs; see lib/sanitize.js)
+ *  - LINT_MODE: what editorial policy errors (site.lint) do — "reprompt" (default, retry the
+ *    draft with the findings; publishing a reviewed draft is blocked) | "block" (fail at once)
+ *    | "warn" (report only) | "off"
+ *  - LLM_PROVIDER (see lib/llm/index.js; "mock" runs offline from fixtures)
+ *  - IMAGE_PROVIDER (see lib/images/index.js; "placeholder" renders offline)
+ *  - SITE_BASE_URL (default https://lnagy2002.github.io/factshistory): where this deploy
+ *    lives; only absolute URLs (canonical links, feeds, sitemaps, og:image) use it,
+ *    and docs/robots.txt is written only when it is a host root (lib/build/sitemap.js)
+ *  - IMG_DIR / IMG_BASE_URL (override the site's images folder / public URL; by default
+ *    records store site-relative "images/<file>", so the same data works on any host)
+ *  - TRANSLATE_LANGUAGES: "all" or a subset of site.languages to translate new
+ *    articles into (default: off; see lib/translations.js)
+ *  - RUN_LOG_DIR (default ./logs, see lib/runlog.js)
+ */
+
+import fs from "fs";
+import path from "path";
+import { getLLM } from "./llm/index.js";
+import { getImageProviders } from "./images/index.js";
+import { optimizeImage } from "./images/optimize.js";
+import { loadSchema, validate, formatErrors } from "./schema.js";
+import { loadDrafts, saveDrafts, createDraft, isPending } from "./drafts.js";
+import { sanitizeHTML } from "./sanitize.js";
+import { lintRecord, lintErrors, formatFindings } from "./lint.js";
+import { relatedFor, refreshRelated, addInlineLinks } from "./related.js";
+import { parseBatchArgs, openCheckpoint, settleCheckpoint, saveCheckpoint, clearCheckpoint, createLock } from "./batch.js";
+import { translationLanguages, translationPrompt, toTranslation, saveTranslation } from "./translations.js";
+import { newTrace, countUsage, promptHash, provenanceOf } from "./provenance.js";
+import { startRun, finishRun, logArticle, logFailure } from "./runlog.js";
+import { DOCS_DIR, todayISO, readJSONSafe, writeJSON, ensureDir } from "./util.js";
+
+export { localImagePath } from "./images/optimize.js";
+
+const MAX_REPAIRS = 2; // schema repair re-prompts per draft
+
+export const PUBLISH_MODES = ["direct", "review"];
+export const SANITIZE_MODES = ["strip", "reject"];
+export const LINT_MODES = ["reprompt", "block", "warn", "off"];
+
+export const SITE_BASE_URL = (process.env.SITE_BASE_URL || "https://lnagy2002.github.io/factshistory").replace(/\/$/, "");
+
+// ---------- paths & data ----------
+
+export function sitePaths(site) {
+  const siteDir = path.join(DOCS_DIR, site.name);
+  const dataDir = path.join(siteDir, "data");
+  const baseUrl = `${SITE_BASE_URL}/${site.name}`;
+  return {
+    siteDir,
+    dataDir,
+    articlesPath: path.join(dataDir, "articles.json"),
+    imagesDir: process.env.IMG_DIR || path.join(siteDir, "images"),
+    baseUrl,
+    imgBaseUrl: (process.env.IMG_BASE_URL || "images").replace(/\/$/, ""),
+  };
+}
+
+// Site-relative URL ("images/x.jpg") → absolute, for feeds and meta tags; absolute URLs pass through
+export function absoluteUrl(paths, url) {
+  if (!url || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return url;
+  return `${paths.baseUrl}/${url.replace(/^\.?\//, "")}`;
+}
+
+export function readArticles(paths) {
+  const list = readJSONSafe(paths.articlesPath, []);
+  if (!Array.isArray(list)) throw new Error(`${paths.articlesPath} is not an array.`);
+  return list;
+}
+
+export function writeArticles(paths, list) {
+  writeJSON(paths.articlesPath, list);
+  console.log(`Updated ${paths.articlesPath} (${list.length} articles)`);
+}
+
+export function uniqueId(base, articles) {
+  const existing = new Set(articles.map(a => a.id));
+  let id = base;
+  let suffix = 1;
+  while (existing.has(id)) id = `${base}-${++suffix}`;
+  return id;
+}
+
+export function byDateDesc(a, b) {
+  return new Date(b.date) - new Date(a.date);
+}
+
+// ---------- editorial policy ----------
+
+function lintMode() {
+  const mode = (process.env.LINT_MODE || "reprompt").trim().toLowerCase();
+  if (!LINT_MODES.includes(mode)) throw new Error(`Unknown LINT_MODE "${mode}" (expected ${LINT_MODES.join(", ")}).`);
+  return mode;
+}
+
+// Lints a record against site.lint, logs the warnings → the errors that must stop it
+function policyErrors(site, record) {
+  const mode = lintMode();
+  if (mode === "off") return [];
+  const findings = lintRecord(site, record);
+  const errors = mode === "warn" ? [] : lintErrors(findings);
+  const warnings = findings.filter(f => !errors.includes(f));
+  if (warnings.length) console.warn(`⚠️  ${record.id}: editorial policy warnings:\n${formatFindings(warnings)}`);
+  return errors;
+}
+
+// Throws when a finished record breaks the site's editorial policy
+export function checkPolicy(site, record) {
+  const errors = policyErrors(site, record);
+  if (errors.length) throw new Error(`${record.id} breaks the editorial policy; nothing written:\n${formatFindings(errors)}`);
+}
+
+function policyFeedback(findings) {
+  return `
+
+Your previous draft broke the editorial policy:
+${formatFindings(findings)}
+Write the article again and fix every item above; follow all other guidelines as before.`;
+}
+
+// ---------- pipeline steps ----------
+
+export function createContext(site) {
+  const paths = sitePaths(site);
+  return {
+    site,
+    ...paths,
+    today: todayISO(),
+    articles: readArticles(paths),
+    pending: loadDrafts(site).filter(d => isPending(d) && !d.lang).map(d => d.record), // unpublished articles, for novelty checks
+    attempt: 0,
+    rejected: [], // [{ draft, reason, …details }] from earlier attempts of this run
+    trace: newTrace(), // LLM calls, tokens and repairs for the article (lib/provenance.js)
+  };
+}
+
+function buildRepairPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+Your previous response was:
+${JSON.stringify(raw, null, 2)}
+
+It failed validation:
+${formatErrors(errors)}
+
+Return the COMPLETE corrected JSON object. Fix exactly these problems and keep everything else unchanged.`;
+}
+
+// LLM call + schema validation, with targeted repair re-prompts. `task` names
+// calls other than article drafts (e.g. "translate"), with their own schema
+export async function requestDraft(site, ctx, prompt = site.buildPrompt(ctx), { task, schema: schemaName = site.draftSchema, temperature = site.temperature } = {}) {
+  const llm = getLLM();
+  const schema = schemaName ? loadSchema(schemaName) : null;
+  // tokens count for the article (ctx.trace) and the run log (ctx.run)
+  const onUsage = usage => countUsage(usage, ctx.trace, ctx.run?.usage);
+
+  let raw = await llm.chatJSON({ site: site.name, task, system: site.system, prompt, temperature, onUsage });
+  let errors = schema ? validate(raw, schema) : [];
+
+  for (let repair = 1; errors.length && repair <= MAX_REPAIRS; repair++) {
+    console.warn(`Draft failed schema validation, repair ${repair}/${MAX_REPAIRS}:\n${formatErrors(errors)}`);
+    if (ctx.trace) ctx.trace.repairs++;
+    raw = await llm.chatJSON({
+      site: site.name,
+      task,
+      system: site.system,
+      prompt: buildRepairPrompt(prompt, raw, errors),
+      temperature: 0.2,
+      onUsage,
+    });
+    errors = validate(raw, schema);
+  }
+
+  if (errors.length) {
+    throw new Error(`${site.name} draft still invalid after ${MAX_REPAIRS} repair attempts:\n${formatErrors(errors)}`);
+  }
+  return raw;
+}
+
+// checkDraft + editorial lint → null when the draft is accepted, else the rejection
+async function screenDraft(site, ctx, draft) {
+  const verdict = site.checkDraft ? await site.checkDraft(draft, ctx) : null;
+  if (verdict) return typeof verdict === "string" ? { reason: verdict } : verdict;
+
+  // the image isn't made yet; the record is only needed for its text
+  const record = site.toRecord(draft, { url: "" }, ctx);
+  const errors = policyErrors(site, record);
+  if (!errors.length) {
+    // batch runs: hold the slot, so drafts screened after this one are checked against it
+    if (ctx.reserved) {
+      ctx.reserved.set(draft, record);
+      ctx.pending.push(record);
+    }
+    return null;
+  }
+  if (lintMode() === "block") throw new Error(`${site.name} draft “${record.title}” breaks the editorial policy:\n${formatFindings(errors)}`);
+  return { reason: `editorial policy (${[...new Set(errors.map(e => e.rule))].join(", ")})`, lint: errors };
+}
+
+// Drops a reservation made by screenDraft (the record is saved, or the item failed)
+function release(ctx, draft) {
+  const record = ctx.reserved?.get(draft);
+  if (!record) return;
+  ctx.reserved.delete(draft);
+  ctx.pending.splice(ctx.pending.indexOf(record), 1);
+}
+
+export async function generateDraft(site, ctx) {
+  const maxAttempts = site.maxAttempts || 1;
+
+  for (ctx.attempt = 0; ctx.attempt < maxAttempts; ctx.attempt++) {
+    const lastLint = ctx.rejected.at(-1)?.lint;
+    const prompt = site.buildPrompt(ctx) + (lastLint ? policyFeedback(lastLint) : "");
+    const raw = await requestDraft(site, ctx, prompt);
+    const draft = site.normalize(raw, ctx);
+
+    // one draft at a time when batch items run concurrently
+    const rejection = await (ctx.exclusive ? ctx.exclusive(() => screenDraft(site, ctx, draft)) : screenDraft(site, ctx, draft));
+    if (!rejection) {
+      ctx.trace.prompt_hash = promptHash(site.system, prompt);
+      return draft;
+    }
+
+    console.warn(`Attempt ${ctx.attempt + 1} rejected: ${rejection.reason}`);
+    ctx.rejected.push({ draft, ...rejection });
+  }
+
+  const lastReason = ctx.rejected.at(-1)?.reason;
+  throw new Error(`Could not produce an acceptable ${site.name} article after ${maxAttempts} attempts (${lastReason}).`);
+}
+
+export async function generateImage(site, draft, ctx) {
+  const basename = site.imageName(draft, ctx);
+  const card = site.imageCard ? site.imageCard(draft, ctx) : { title: draft.title, tag: draft.primary_tag };
+  const prompt = site.imagePrompt(draft, ctx);
+  const failed = []; // providers tried before the one that worked
+
+  for (const provider of getImageProviders()) {
+    let written = null;
+    try {
+      const img = await provider.generate({
+        site,
+        draft,
+        card,
+        prompt,
+        width: site.image?.width,
+        height: site.image?.height,
+        ext: site.image?.ext,
+        dir: ctx.imagesDir,
+        siteDir: ctx.siteDir,
+        basename,
+      });
+      written = path.join(ctx.imagesDir, img.filename);
+      // real format, dimensions and responsive variants (throws when the bytes aren't an image)
+      const { filename, meta } = await optimizeImage(ctx, img.filename, { rename: true });
+      return { ...img, filename, meta, provider: provider.name, failed, url: `${ctx.imgBaseUrl}/${filename}` };
+    } catch (err) {
+      if (written) fs.rmSync(written, { force: true });
+      failed.push(provider.name);
+      console.warn(`Image provider "${provider.name}" failed:`, err.message);
+    }
+  }
+  throw new Error("No image provider could produce an image.");
+}
+
+// ---------- publish ----------
+
+// site.toRecord plus the image's dimensions and variants (lib/images/optimize.js)
+// and how the article was made (lib/provenance.js)
+function recordFor(site, draft, image, ctx) {
+  const record = site.toRecord(draft, image, ctx);
+  return { ...record, ...(image.meta ? { image_meta: image.meta } : {}), provenance: provenanceOf(ctx, record, image) };
+}
+
+function sanitizeMode() {
+  const mode = (process.env.SANITIZE_MODE || "strip").trim().toLowerCase();
+  if (!SANITIZE_MODES.includes(mode)) throw new Error(`Unknown SANITIZE_MODE "${mode}" (expected ${SANITIZE_MODES.join(", ")}).`);
+  return mode;
+}
+
+// Sanitizes the body against the allowlist, then validates → the record to store.
+// Every path that writes a record (generation, drafts, CLIs) goes through here.
+export function prepareRecord(paths, record) {
+  const mode = sanitizeMode();
+  const { html, removed, unsafe } = sanitizeHTML(record.body, { imgBaseUrl: paths.imgBaseUrl });
+  if (removed.length) {
+    if (unsafe && mode === "reject") throw new Error(`${record.id}: unsafe markup in body (${removed.join(", ")}); nothing written.`);
+    console.warn(`⚠️  ${record.id}: removed from body: ${removed.join(", ")}`);
+  }
+  const clean = { ...record, body: html };
+  const errors = validate(clean, loadSchema("article"));
+  if (errors.length) throw new Error(`Article record failed validation:\n${formatErrors(errors)}`);
+  return clean;
+}
+
+// Same for a translation (lib/translations.js), against its own schema
+export function prepareTranslation(paths, translation) {
+  const { html, removed, unsafe } = sanitizeHTML(translation.body, { imgBaseUrl: paths.imgBaseUrl });
+  const label = `${translation.id} (${translation.lang})`;
+  if (removed.length) {
+    if (unsafe && sanitizeMode() === "reject") throw new Error(`${label}: unsafe markup in body (${removed.join(", ")}); nothing written.`);
+    console.warn(`⚠️  ${label}: removed from body: ${removed.join(", ")}`);
+  }
+  const clean = { ...translation, body: html };
+  const errors = validate(clean, loadSchema("translation"));
+  if (errors.length) throw new Error(`Translation ${label} failed validation:\n${formatErrors(errors)}`);
+  return clean;
+}
+
+// Related articles for a new record, plus up to site.inlineLinks links in its body
+export async function linkRelated(site, ctx, record) {
+  const next = { ...record, related: await relatedFor(ctx, record) };
+  return site.inlineLinks ? addInlineLinks(next, ctx, site.inlineLinks) : next;
+}
+
+// Adds a finished record to articles.json (newest → oldest), runs afterSave and
+// refreshes the archive's related lists so older articles can point at it
+export async function publishRecord(site, ctx, record, draft = null) {
+  record = prepareRecord(ctx, { ...record, id: uniqueId(record.id, ctx.articles) });
+  // fresh drafts were linted in generateDraft; reviewed ones may have been edited since
+  if (!draft) checkPolicy(site, record);
+  ctx.articles = [record, ...ctx.articles].sort(byDateDesc);
+  writeArticles(ctx, ctx.articles);
+  if (site.afterSave) await site.afterSave(record, draft, ctx);
+
+  try {
+    if (await refreshRelated(ctx)) writeArticles(ctx, ctx.articles);
+  } catch (err) {
+    // the article is out; stale lists only cost a few links until the next run
+    console.warn(`⚠️  Related articles not refreshed: ${err.message}`);
+  }
+  return ctx.articles.find(a => a.id === record.id);
+}
+
+// Queues a finished record in drafts/<site>.json instead of publishing it
+export function holdForReview(site, ctx, record) {
+  const drafts = loadDrafts(site);
+  record = prepareRecord(ctx, { ...record, id: uniqueId(record.id, [...ctx.articles, ...drafts]) });
+  saveDrafts(site, [...drafts, createDraft(record)]);
+  ctx.pending.push(record);
+  return record;
+}
+
+// ---------- translate ----------
+
+// One published record → its translation in `lang`, stored, or passed to `hold`
+// to queue it for review instead (throws on failure)
+export async function translateArticle(site, ctx, record, lang, { hold } = {}) {
+  const raw = await requestDraft(site, ctx, translationPrompt(site, record, lang), { task: "translate", schema: "translation-draft", temperature: 0.3 });
+  const translation = prepareTranslation(ctx, toTranslation(site, record, lang, raw, ctx.today));
+  if (hold) hold(translation);
+  else saveTranslation(ctx, translation, ctx.articles);
+  return translation;
+}
+
+// Translation stage of a run: the article is already out, so failures only warn
+// (npm run translate -- <site> fills the gaps later) → languages done
+export async function translateNew(site, ctx, record, { hold } = {}) {
+  const done = [];
+  for (const lang of translationLanguages(site)) {
+    try {
+      await translateArticle(site, ctx, record, lang, { hold });
+      done.push(lang);
+    } catch (err) {
+      console.warn(`⚠️  ${record.id}: ${lang} translation failed: ${err.message}`);
+    }
+  }
+  if (done.length) console.log(`🌐 ${hold ? "Translation drafts saved for review" : "Translated"} ${record.id}: ${done.join(", ")}`);
+  return done;
+}
+
+// A reviewed translation (lib/drafts.js) → articles.<lang>.json, re-checked first
+export function publishTranslation(ctx, translation) {
+  if (!ctx.articles.some(a => a.id === translation.id)) throw new Error(`No published article "${translation.id}" to translate.`);
+  const clean = prepareTranslation(ctx, translation);
+  saveTranslation(ctx, clean, ctx.articles);
+  return clean;
+}
+
+// ---------- run ----------
+
+export function publishMode() {
+  const mode = (process.env.PUBLISH_MODE || "direct").trim().toLowerCase();
+  if (!PUBLISH_MODES.includes(mode)) throw new Error(`Unknown PUBLISH_MODE "${mode}" (expected ${PUBLISH_MODES.join(", ")}).`);
+  return mode;
+}
+
+// Validates every mode up front, so a typo fails before any API call → PUBLISH_MODE
+function runModes(site) {
+  const mode = publishMode();
+  sanitizeMode();
+  lintMode();
+  translationLanguages(site);
+  return mode;
+}
+
+export async function runSite(site, run = null) {
+  const mode = runModes(site);
+  if (run) run.mode = mode;
+
+  const ctx = createContext(site);
+  ctx.run = run;
+  await ensureDir(ctx.dataDir);
+  if (site.prepare) await site.prepare(ctx);
+
+  // 1) Article JSON via LLM (re-prompts while checkDraft rejects it)
+  const draft = await generateDraft(site, ctx);
+
+  // 2) One self-hosted illustration (placeholder card as last resort)
+  const image = await generateImage(site, draft, ctx);
+
+  // 3) Map to site schema, find related articles; publish, or queue for review
+  let record = await linkRelated(site, ctx, recordFor(site, draft, image, ctx));
+  if (mode === "review") {
+    record = holdForReview(site, ctx, record);
+    logArticle(run, record, "held");
+    console.log("📝 Draft saved for review:", record.title, "→", record.id);
+  } else {
+    record = await publishRecord(site, ctx, record, draft);
+    logArticle(run, record, "published");
+    console.log("✅ Created article:", record.title, "→", record.id);
+    // 4) Translated variants in the site's languages
+    await translateNew(site, ctx, record);
+  }
+  console.log("🖼  Image:", record.image);
+  return record;
+}
+
+// One slot of a batch: its own date, attempts and rejections on top of the shared context
+async function runSlot(site, shared, slot, mode, save) {
+  const ctx = Object.create(shared, {
+    today: { value: slot.date, writable: true },
+    attempt: { value: 0, writable: true },
+    rejected: { value: [] },
+    trace: { value: newTrace() },
+  });
+  const draft = await generateDraft(site, ctx);
+  let record;
+  try {
+    const image = await generateImage(site, draft, ctx);
+    record = await shared.exclusive(async () => {
+      let next = await linkRelated(site, shared, recordFor(site, draft, image, ctx));
+      release(shared, draft);
+      save(Object.assign(slot, { status: "publishing", title: next.title }));
+      next = mode === "review" ? holdForReview(site, shared, next) : await publishRecord(site, shared, next, draft);
+      save(Object.assign(slot, { status: "done", id: next.id }));
+      return next;
+    });
+  } finally {
+    release(shared, draft);
+  }
+  // outside the lock: other slots keep publishing meanwhile
+  if (mode !== "review") await translateNew(site, ctx, record);
+  return record;
+}
+
+export async function runBatch(site, opts, run = null) {
+  const mode = runModes(site);
+  if (run) run.mode = mode;
+  const shared = createContext(site);
+  shared.run = run;
+  await ensureDir(shared.dataDir);
+
+  const checkpoint = settleCheckpoint(openCheckpoint(site, opts, shared.today), [...shared.articles, ...shared.pending]);
+  const save = () => saveCheckpoint(site, checkpoint);
+  const todo = checkpoint.slots.filter(s => s.status !== "done");
+  const done = checkpoint.slots.length - todo.length;
+  console.log(`Batch: ${checkpoint.slots.length} ${site.name} article(s), ${checkpoint.slots[0].date} → ${checkpoint.slots.at(-1).date}` +
+    `${done ? ` (resuming, ${done} already done)` : ""}, concurrency ${opts.concurrency}`);
+  save();
+
+  if (site.prepare) await site.prepare(shared);
+  shared.exclusive = createLock();
+  shared.reserved = new Map(); // accepted draft → provisional record in ctx.pending
+
+  const failures = [];
+  const queue = [...todo];
+  async function worker() {
+    for (let slot = queue.shift(); slot; slot = queue.shift()) {
+      try {
+        const record = await runSlot(site, shared, slot, mode, save);
+        logArticle(run, record, mode === "review" ? "held" : "published");
+        console.log(`${mode === "review" ? "📝 Held for review" : "✅ Created"} [${slot.date}]: ${record.title} → ${record.id}`);
+      } catch (err) {
+        failures.push(slot);
+        logFailure(run, err, slot.date);
+        console.error(`❌ [${slot.date}] failed: ${err.message}`);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(opts.concurrency, todo.length) }, worker));
+
+  if (failures.length) {
+    throw new Error(`${failures.length} of ${todo.length} batch item(s) failed; run the same command again to retry them (checkpoint kept).`);
+  }
+  clearCheckpoint(site);
+  console.log(`Batch complete: ${checkpoint.slots.length} article(s).`);
+}
+
+// Provider name and model for the run log, even when LLM_PROVIDER is invalid
+function llmInfo() {
+  try {
+    return getLLM();
+  } catch {
+    return {};
+  }
+}
+
+// CLI entry of the generate scripts: one article, or a batch (see lib/batch.js);
+// every run, failed or not, ends up in the run log (lib/runlog.js)
+export function main(site) {
+  const run = startRun(site);
+  Promise.resolve()
+    .then(() => {
+      const batch = parseBatchArgs();
+      if (batch) run.batch = { count: batch.count, from: batch.from, to: batch.to };
+      return batch ? runBatch(site, batch, run) : runSite(site, run);
+    })
+    .then(() => finishRun(run, null, llmInfo()))
+    .catch(err => {
+      finishRun(run, err, llmInfo());
+      console.error("❌ Generation failed:", err);
+      process.exitCode = 1;
+    });
+}
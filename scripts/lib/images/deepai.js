@@ -0,0 +1,45 @@
+/**
+ * deepai.js — DeepAI Text2Img, downloaded into the site's images folder.
+ *
+ * Env:
+ *  - DEEPAI_API_KEY (required)
+ */
+
+import path from "path";
+import { downloadToFile } from "../util.js";
+
+export function createDeepAIProvider({ apiKey = process.env.DEEPAI_API_KEY || "" } = {}) {
+  async function generate({ prompt, width, height, dir, basename, ext = "png" }) {
+    if (!apiKey) throw new Error("DEEPAI_API_KEY missing.");
+
+    const form = new URLSearchParams();
+    form.set("text", prompt);
+    if (width) form.set("width", String(width));
+    if (height) form.set("height", String(height));
+    form.set("model", "standard");
+    form.set("preference", "speed");
+    form.set("style", "classic");
+
+    const resp = await fetch("https://api.deepai.org/api/text2img", {
+      method: "POST",
+      headers: { "api-key": apiKey },
+      body: form
+    });
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => "");
+      throw new Error(`DeepAI ${resp.status}: ${t.slice(0, 160)}`);
+    }
+
+    const data = await resp.json();
+    const url = data.output_url || (Array.isArray(data.output) ? data.output[0] : null);
+    if (!url || typeof url !== "string" || !url.startsWith("http")) {
+      throw new Error("DeepAI: no output_url in response");
+    }
+
+    const filename = `${basename}.${ext}`;
+    await downloadToFile(url, path.join(dir, filename));
+    return { filename, source: "DeepAI Text2Img", license: "DeepAI Terms", remoteUrl: url };
+  }
+
+  return { name: "deepai", generate };
+}
@@ -0,0 +1,43 @@
+/**
+ * images/index.js — picks the image provider(s) for this run.
+ *
+ * Provider interface:
+ *   { name, generate({ site, draft, card, prompt, width, height, ext, dir, siteDir, basename })
+ *       → { filename, source, license, remoteUrl? } }
+ *
+ * Providers write the file into `dir` themselves and choose the extension.
+ *
+ * Env:
+ *  - IMAGE_PROVIDER: "deepai" | "openai" | "placeholder"
+ *      (default deepai when DEEPAI_API_KEY is set, otherwise placeholder)
+ *  - IMAGE_CONCURRENCY / IMAGE_RPM: caps on parallel requests / requests per
+ *    minute to the remote provider (default none; see lib/ratelimit.js)
+ *
+ * The placeholder provider is always appended as the last resort, so every
+ * article ends up with a self-hosted image.
+ */
+
+import { createDeepAIProvider } from "./deepai.js";
+import { createOpenAIImageProvider } from "./openai.js";
+import { createPlaceholderProvider } from "./placeholder.js";
+import { createLimiter, limitsFromEnv, limit } from "../ratelimit.js";
+
+const PROVIDERS = {
+  deepai: () => createDeepAIProvider(),
+  openai: () => createOpenAIImageProvider(),
+  placeholder: () => createPlaceholderProvider(),
+};
+
+let chain = null;
+
+export function getImageProviders() {
+  if (chain) return chain;
+  const name = (process.env.IMAGE_PROVIDER || (process.env.DEEPAI_API_KEY ? "deepai" : "placeholder")).trim().toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown IMAGE_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")}).`);
+  // placeholders are rendered locally, so only the remote provider is rate-limited
+  chain = name === "placeholder"
+    ? [factory()]
+    : [limit(factory(), "generate", createLimiter(limitsFromEnv("IMAGE"))), PROVIDERS.placeholder()];
+  return chain;
+}
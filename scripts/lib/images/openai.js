@@ -0,0 +1,56 @@
+/**
+ * openai.js — OpenAI Images API (or any server exposing the same
+ * /images/generations endpoint). Handles both b64_json and url responses.
+ *
+ * Env:
+ *  - IMAGE_BASE_URL (default https://api.openai.com/v1)
+ *  - IMAGE_API_KEY  (default OPENAI_API_KEY)
+ *  - IMAGE_MODEL    (default gpt-image-1)
+ *  - IMAGE_SIZE     (default 1536x1024)
+ */
+
+import fsp from "fs/promises";
+import path from "path";
+import { ensureDir, downloadToFile } from "../util.js";
+
+export function createOpenAIImageProvider({
+  baseUrl = process.env.IMAGE_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.IMAGE_API_KEY || process.env.OPENAI_API_KEY || "",
+  model = process.env.IMAGE_MODEL || "gpt-image-1",
+  size = process.env.IMAGE_SIZE || "1536x1024",
+} = {}) {
+  baseUrl = baseUrl.replace(/\/$/, "");
+
+  async function generate({ prompt, dir, basename }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(`${baseUrl}/images/generations`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, prompt, size, n: 1 }),
+    });
+    if (!res.ok) {
+      const t = await res.text().catch(() => "");
+      throw new Error(`Images API ${res.status}: ${t.slice(0, 160)}`);
+    }
+
+    const data = await res.json();
+    const item = data.data?.[0] || {};
+    const filename = `${basename}.png`;
+    const filepath = path.join(dir, filename);
+
+    if (item.b64_json) {
+      await ensureDir(dir);
+      await fsp.writeFile(filepath, Buffer.from(item.b64_json, "base64"));
+    } else if (item.url) {
+      await downloadToFile(item.url, filepath);
+    } else {
+      throw new Error("Images API: no b64_json or url in response");
+    }
+
+    return { filename, source: `${model} (Images API)`, license: "Generated", remoteUrl: item.url };
+  }
+
+  return { name: "openai", generate };
+}
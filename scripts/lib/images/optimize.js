@@ -0,0 +1,227 @@
+/**
+ * optimize.js — post-processing for article images, and the files that belong
+ * to each record.
+ *
+ *  - sniffImage(bytes) → { format, width, height } from the file header, whatever
+ *    the extension says (DeepAI hands back JPEG bytes for a .png name)
+ *  - optimizeImage(paths, filename) → { filename, meta }: fixes the extension
+ *    (new images only), then writes responsive variants next to the original:
+ *      <base>-480w.avif / .webp / .jpg (.png)   card thumbnails
+ *      <base>-<width>w.avif / .webp             full size (capped at MAX_WIDTH)
+ *    (images under 720px wide only get the full-size pair)
+ *    meta goes on the record as `image_meta`:
+ *      { width, height, format, variants: [{ url, format, width, height }] }
+ *  - imageFilesOf(paths, record) → every local file of a record's image
+ *  - shippedImageMeta(paths, meta) → meta without the variants that aren't on
+ *    disk (they are git-ignored; the build only links what it can serve)
+ *
+ * Variants need `sharp` (an optionalDependency, so a failed native install
+ * doesn't fail `npm install`); without it images still get their real format
+ * and dimensions (no variants), with one warning per run.
+ * SVG placeholder cards are vector art and get no variants.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const THUMB_WIDTH = 480;
+const MAX_WIDTH = 1600;
+const QUALITY = { avif: 50, webp: 72, jpeg: 78 };
+const VARIANT_RE = /-\d+w\.(?:avif|webp|jpg|png)$/;
+
+export const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp", avif: "avif", gif: "gif", svg: "svg" };
+export const MIME_TYPES = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp", avif: "image/avif", gif: "image/gif", svg: "image/svg+xml" };
+
+// ---------- paths ----------
+
+// Public image URL → file in the images folder (null for remote images)
+export function localImagePath(paths, url) {
+  if (!url || !url.startsWith(`${paths.imgBaseUrl}/`)) return null;
+  return path.join(paths.imagesDir, decodeURIComponent(url.slice(paths.imgBaseUrl.length + 1)));
+}
+
+function imageUrl(paths, filename) {
+  return `${paths.imgBaseUrl}/${filename}`;
+}
+
+// The original, its variants and any same-named sibling in another format
+export function imageFilesOf(paths, record) {
+  const file = localImagePath(paths, record.image);
+  if (!file) return [];
+  const dir = path.dirname(file);
+  const base = path.basename(file).replace(/\.[^.]+$/, "");
+  const files = new Set([file, ...(record.image_meta?.variants || []).map(v => localImagePath(paths, v.url)).filter(Boolean)]);
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(f => f.replace(/\.[^.]+$/, "") === base || f.replace(VARIANT_RE, "") === base)
+      .forEach(f => files.add(path.join(dir, f)));
+  }
+  return [...files].filter(f => fs.existsSync(f));
+}
+
+// image_meta with only the variants whose files exist; remote variant URLs are kept
+export function shippedImageMeta(paths, meta) {
+  if (!meta?.variants?.length) return meta;
+  const variants = meta.variants.filter(v => {
+    const file = localImagePath(paths, v.url);
+    return !file || fs.existsSync(file);
+  });
+  return variants.length === meta.variants.length ? meta : { ...meta, variants };
+}
+
+// ---------- format & dimensions ----------
+
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) {
+      i++;
+      continue;
+    }
+    const marker = buf[i + 1];
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      i += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  const chunk = buf.toString("ascii", 12, 16);
+  if (chunk === "VP8 ") return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  if (chunk === "VP8L") {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  return null;
+}
+
+function avifSize(buf) {
+  const at = buf.indexOf("ispe");
+  return at > 0 && at + 16 <= buf.length ? { width: buf.readUInt32BE(at + 8), height: buf.readUInt32BE(at + 12) } : null;
+}
+
+function svgSize(text) {
+  const tag = text.match(/<svg\b[^>]*>/i)?.[0] || "";
+  const attr = name => Number(tag.match(new RegExp(`\\s${name}="\\s*([\\d.]+)(?:px)?\\s*"`, "i"))?.[1]) || 0;
+  const box = tag.match(/viewBox="\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*"/i);
+  const width = attr("width") || Number(box?.[1]) || 0;
+  const height = attr("height") || Number(box?.[2]) || 0;
+  return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+}
+
+// → { format, width, height } (width/height 0 when the header can't be read), or null
+export function sniffImage(buf) {
+  let format = null;
+  let size = null;
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    format = "png";
+    size = { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  } else if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    format = "jpeg";
+    size = jpegSize(buf);
+  } else if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    format = "webp";
+    size = webpSize(buf);
+  } else if (buf.length >= 12 && buf.toString("ascii", 4, 8) === "ftyp" && /^avi[fs]$/.test(buf.toString("ascii", 8, 12))) {
+    format = "avif";
+    size = avifSize(buf);
+  } else if (buf.length >= 10 && /^GIF8[79]a$/.test(buf.toString("ascii", 0, 6))) {
+    format = "gif";
+    size = { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  } else {
+    const head = buf.toString("utf8", 0, Math.min(buf.length, 4096));
+    if (/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg\b/i.test(head)) {
+      format = "svg";
+      size = svgSize(head);
+    }
+  }
+  return format ? { format, width: size?.width || 0, height: size?.height || 0 } : null;
+}
+
+// ---------- variants ----------
+
+let sharpLoading = null;
+
+function loadSharp() {
+  sharpLoading = sharpLoading || import("sharp")
+    .then(m => m.default)
+    .catch(err => {
+      console.warn(`⚠️  sharp is not available (${err.code || err.message}); images keep their original file only, no WebP/AVIF variants.`);
+      return null;
+    });
+  return sharpLoading;
+}
+
+export async function canWriteVariants() {
+  return Boolean(await loadSharp());
+}
+
+function encode(pipeline, format) {
+  if (format === "avif") return pipeline.avif({ quality: QUALITY.avif });
+  if (format === "webp") return pipeline.webp({ quality: QUALITY.webp });
+  if (format === "png") return pipeline.png({ compressionLevel: 9 });
+  return pipeline.jpeg({ quality: QUALITY.jpeg, mozjpeg: true });
+}
+
+// [{ width, formats }] to write for an image `width` px wide
+function variantPlan(width, format) {
+  const fallback = format === "png" ? "png" : "jpeg";
+  const full = Math.min(width, MAX_WIDTH);
+  // already about card size (plants are 512px): a thumbnail would save next to nothing
+  if (full < THUMB_WIDTH * 1.5) return [{ width: full, formats: ["avif", "webp"] }];
+  return [
+    { width: THUMB_WIDTH, formats: ["avif", "webp", fallback] },
+    { width: full, formats: ["avif", "webp"] },
+  ];
+}
+
+// Writes (or reuses) the variants → image_meta; `force` re-encodes existing files
+export async function optimizeImage(paths, filename, { rename = false, force = false } = {}) {
+  let file = path.join(paths.imagesDir, filename);
+  const info = sniffImage(fs.readFileSync(file));
+  if (!info) throw new Error(`${filename} is not a recognised image (png, jpeg, webp, avif, gif or svg).`);
+
+  // only for images nobody links to yet: archive URLs stay as published
+  const ext = EXTENSIONS[info.format];
+  const base = filename.replace(/\.[^.]+$/, "");
+  if (rename && path.extname(filename).slice(1).toLowerCase() !== ext && !(ext === "jpg" && /\.jpe?g$/i.test(filename))) {
+    filename = `${base}.${ext}`;
+    const renamed = path.join(paths.imagesDir, filename);
+    fs.renameSync(file, renamed);
+    file = renamed;
+  }
+
+  const meta = { width: info.width, height: info.height, format: info.format, variants: [] };
+  if (info.format === "svg" || !info.width) return { filename, meta };
+  const sharp = await loadSharp();
+  if (!sharp) return { filename, meta };
+
+  const source = fs.statSync(file);
+  try {
+    for (const { width, formats } of variantPlan(info.width, info.format)) {
+      const height = Math.round((info.height * width) / info.width);
+      for (const format of formats) {
+        const name = `${base}-${width}w.${EXTENSIONS[format]}`;
+        const out = path.join(paths.imagesDir, name);
+        const fresh = fs.existsSync(out) && fs.statSync(out).mtimeMs >= source.mtimeMs;
+        if (force || !fresh) {
+          await encode(sharp(file, { animated: false }).resize({ width, withoutEnlargement: true }), format).toFile(out);
+        }
+        meta.variants.push({ url: imageUrl(paths, name), format, width, height });
+      }
+    }
+  } catch (err) {
+    // the original is fine; pages fall back to it
+    console.warn(`⚠️  ${filename}: variants not written (${err.message})`);
+    meta.variants = [];
+  }
+  return { filename, meta };
+}
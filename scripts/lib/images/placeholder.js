@@ -0,0 +1,115 @@
+/**
+ * placeholder.js — offline image provider: renders a branded SVG card
+ * (site name, tag, title) using the colours declared in docs/<site>/style.css.
+ *
+ * Needs no network and no key, so it doubles as the fallback whenever the
+ * configured provider fails.
+ */
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { ensureDir, htmlEsc } from "../util.js";
+
+const DEFAULT_COLORS = { bg: "#0e0f12", paper: "#f7f5ef", ink: "#1c1c1c", brand: "#c29a5b" };
+
+// ---------- colours ----------
+
+export function readSiteColors(siteDir) {
+  const colors = { ...DEFAULT_COLORS };
+  try {
+    const css = fs.readFileSync(path.join(siteDir, "style.css"), "utf8");
+    const root = css.match(/:root\s*\{([^}]*)\}/)?.[1] || "";
+    for (const m of root.matchAll(/--([\w-]+)\s*:\s*(#[0-9a-f]{3,8})/gi)) colors[m[1]] = m[2];
+  } catch {
+    // no stylesheet: keep defaults
+  }
+  return colors;
+}
+
+function luminance(hex) {
+  let h = hex.replace("#", "").slice(0, 6);
+  if (h.length === 3) h = h.split("").map(c => c + c).join("");
+  const [r, g, b] = [0, 2, 4].map(i => {
+    const c = parseInt(h.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrast(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// first candidate that is comfortably legible on bg, else the best available
+function readable(bg, candidates) {
+  return candidates.find(c => contrast(bg, c) >= 4.5) ||
+    [...candidates].sort((a, b) => contrast(bg, b) - contrast(bg, a))[0];
+}
+
+// ---------- layout ----------
+
+function wrap(text, maxChars, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text || "").split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].replace(/\s*\S*$/, "") + "…";
+  }
+  return lines;
+}
+
+export function renderCardSVG({ width = 1200, height = 750, siteTitle, title, tag, colors }) {
+  const bg = colors.bg;
+  const text = readable(bg, [colors.ink, colors.paper, "#ffffff", "#111111"]);
+  const accent = contrast(bg, colors.brand) >= 3 ? colors.brand : text;
+
+  const pad = Math.round(width * 0.07);
+  const titleSize = Math.round(width / 19);
+  const lines = wrap(title, Math.floor((width - pad * 2) / (titleSize * 0.52)), 4);
+  const titleTop = Math.round(height / 2 - ((lines.length - 1) * titleSize * 1.2) / 2);
+
+  const titleSpans = lines
+    .map((l, i) => `<tspan x="${pad}" y="${titleTop + Math.round(i * titleSize * 1.2)}">${htmlEsc(l)}</tspan>`)
+    .join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="${bg}"/>
+  <rect x="${pad}" y="${pad}" width="${Math.round(width * 0.08)}" height="6" fill="${accent}"/>
+  <text x="${pad}" y="${pad + 48}" fill="${accent}" font-family="Inter, Helvetica, Arial, sans-serif" font-size="${Math.round(titleSize * 0.42)}" font-weight="800" letter-spacing="3">${htmlEsc(String(tag || "").toUpperCase())}</text>
+  <text fill="${text}" font-family="'Playfair Display', Georgia, serif" font-size="${titleSize}" font-weight="700">${titleSpans}</text>
+  <text x="${pad}" y="${height - pad}" fill="${text}" opacity=".75" font-family="'Playfair Display', Georgia, serif" font-size="${Math.round(titleSize * 0.5)}">${htmlEsc(siteTitle || "")}</text>
+</svg>
+`;
+}
+
+// ---------- provider ----------
+
+export function createPlaceholderProvider() {
+  async function generate({ site, card, width, height, dir, basename, siteDir }) {
+    const svg = renderCardSVG({
+      width: width || 1200,
+      height: height || 750,
+      siteTitle: site.title,
+      title: card.title,
+      tag: card.tag,
+      colors: readSiteColors(siteDir),
+    });
+    const filename = `${basename}.svg`;
+    await ensureDir(dir);
+    await fsp.writeFile(path.join(dir, filename), svg, "utf8");
+    return { filename, source: "Placeholder card", license: "Site asset" };
+  }
+
+  return { name: "placeholder", generate };
+}
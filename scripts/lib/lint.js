@@ -0,0 +1,193 @@
+/**
+ * lint.js — editorial policy linter for article records.
+ *
+ * A site opts in with a rule pack in its config (`lint: [rule, …]`), built
+ * from the factories below; options override a rule's id, severity or list:
+ *
+ *   lint: [prices(), carrierNames(), usStates({ severity: "warn" }),
+ *          disclaimer("This is general information, not individualized advice."),
+ *          wordCount({ min: 900, max: 1200 })]
+ *
+ * Rule: { id, severity: "error" | "warn", description, check(doc) → [{ message, excerpt? }] }
+ * doc:  { record, title, excerpt, text, segments, words } — text is the plain body,
+ *       segments its sentences (block elements split first), words its word count
+ *
+ * lintRecord(site, record) → [{ rule, severity, message, excerpt }]
+ * Errors re-prompt or block publishing (LINT_MODE, see engine.js); warnings
+ * are only reported. `npm run lint` audits the published archive.
+ */
+
+import { htmlToText } from "./util.js";
+
+const BLOCK_RE = /<\/?(?:p|li|h[1-6]|ul|ol|blockquote|br|div|table|tr|td|th)\b[^>]*>/gi;
+const CONTEXT = 40; // characters either side of a match in reports
+
+// ---------- text helpers ----------
+
+function sentences(html) {
+  return String(html || "")
+    .split(BLOCK_RE)
+    .map(htmlToText)
+    .filter(Boolean)
+    .flatMap(block => block.split(/(?<=[.!?])\s+(?=[A-Z0-9“"(])/));
+}
+
+function normalizeQuotes(s) {
+  return String(s).replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function around(text, index, length) {
+  const start = Math.max(0, index - CONTEXT);
+  const end = Math.min(text.length, index + length + CONTEXT);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+function listPattern(names) {
+  const alternatives = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(n => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"));
+  return new RegExp(`\\b(?:${alternatives.join("|")})\\b`, "g");
+}
+
+export function lintDoc(record) {
+  const text = htmlToText(record.body);
+  return {
+    record,
+    title: String(record.title || ""),
+    excerpt: String(record.excerpt || ""),
+    text,
+    segments: [record.title, record.excerpt, ...sentences(record.body)].filter(Boolean).map(String),
+    words: text ? text.split(" ").length : 0,
+  };
+}
+
+// ---------- rule factories ----------
+
+// Every match of `pattern` in the title, excerpt or body; sentences matching
+// `unless` (e.g. hedged wording) are skipped
+export function patternRule({ id, description, pattern, message, unless = null, severity = "error" }) {
+  const re = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`);
+  return {
+    id,
+    severity,
+    description,
+    check(doc) {
+      const found = [];
+      for (const segment of doc.segments) {
+        if (unless && unless.test(segment)) continue;
+        for (const m of segment.matchAll(re)) {
+          found.push({ message: message(m[0]), excerpt: around(segment, m.index, m[0].length) });
+        }
+      }
+      return found;
+    },
+  };
+}
+
+export function prices(opts = {}) {
+  return patternRule({
+    id: "prices",
+    description: "No prices, premiums or other currency amounts",
+    pattern: /(?:US)?[$€£]\s?\d+(?:[,.]\d+)*(?:\s?(?:k|K|million|billion)\b)?|\b\d+(?:[,.]\d+)*\s?(?:dollars|USD|euros|cents)\b/g,
+    message: m => `currency amount “${m}”`,
+    ...opts,
+  });
+}
+
+export const CARRIERS = [
+  "State Farm", "GEICO", "Progressive", "Allstate", "USAA", "Liberty Mutual", "Farmers Insurance", "Nationwide",
+  "Travelers Insurance", "American Family", "Erie Insurance", "Chubb", "The Hartford", "MetLife", "Prudential",
+  "New York Life", "Northwestern Mutual", "Mutual of Omaha", "Aflac", "Aetna", "Cigna", "Humana",
+  "UnitedHealthcare", "Blue Cross", "Blue Shield", "Kaiser Permanente", "Anthem", "AIG", "Lemonade", "Esurance",
+  "Safeco", "Hippo Insurance", "Root Insurance", "Trupanion", "Kemper", "Mercury Insurance", "Auto-Owners",
+  "Amica", "Assurant", "Lincoln Financial", "Transamerica", "Pacific Life", "Guardian Life", "MassMutual",
+];
+
+export function carrierNames({ names = CARRIERS, ...opts } = {}) {
+  return patternRule({
+    id: "carrier-names",
+    description: "No insurance company names",
+    pattern: listPattern(names),
+    message: m => `company name “${m}”`,
+    ...opts,
+  });
+}
+
+export const US_STATES = [
+  "Alabama", "Alaska", "Arizona", "Arkansas", "California", "Colorado", "Connecticut", "Delaware", "Florida",
+  "Georgia", "Hawaii", "Idaho", "Illinois", "Indiana", "Iowa", "Kansas", "Kentucky", "Louisiana", "Maine",
+  "Maryland", "Massachusetts", "Michigan", "Minnesota", "Mississippi", "Missouri", "Montana", "Nebraska",
+  "Nevada", "New Hampshire", "New Jersey", "New Mexico", "New York", "North Carolina", "North Dakota", "Ohio",
+  "Oklahoma", "Oregon", "Pennsylvania", "Rhode Island", "South Carolina", "South Dakota", "Tennessee", "Texas",
+  "Utah", "Vermont", "Virginia", "Washington State", "West Virginia", "Wisconsin", "Wyoming",
+  "District of Columbia", "Puerto Rico",
+];
+
+export function usStates({ names = US_STATES, ...opts } = {}) {
+  return patternRule({
+    id: "us-states",
+    description: "No state-specific detail (US state names)",
+    pattern: listPattern(names),
+    message: m => `state name “${m}”`,
+    ...opts,
+  });
+}
+
+// Unhedged "cures / treats / prevents …" wording; sentences that hedge
+// ("may", "traditionally", "studies suggest", …) or warn are fine
+export const HEDGES = /\b(?:may|might|could|can help|traditionally|historically|believed|thought to|said to|reputed|reportedly|folk|studies suggest|research suggests|some people|not (?:proven|intended|a substitute)|consult|doctor|physician|healthcare|avoid|do not|don't)\b/i;
+
+export function medicalClaims(opts = {}) {
+  return patternRule({
+    id: "medical-claims",
+    description: "No unhedged medical claims (cures, treats, heals, prevents …)",
+    pattern: /\b(?:cur(?:e|es|ed|ing)|heal(?:s|ed)?|treat(?:s|ed|ing)?|prevent(?:s|ed)?|revers(?:e|es|ed)|detox(?:es|ifies)?)\b/gi,
+    unless: HEDGES,
+    message: m => `unhedged medical claim “${m}”`,
+    ...opts,
+  });
+}
+
+export function disclaimer(sentence, { id = "disclaimer", severity = "error" } = {}) {
+  const needle = normalizeQuotes(sentence).replace(/[.!]$/, "");
+  return {
+    id,
+    severity,
+    description: `Body includes the disclaimer “${sentence}”`,
+    check(doc) {
+      return normalizeQuotes(doc.text).includes(needle) ? [] : [{ message: `missing disclaimer “${sentence}”` }];
+    },
+  };
+}
+
+export function wordCount({ min = 0, max = Infinity, id = "word-count", severity = "error" } = {}) {
+  return {
+    id,
+    severity,
+    description: `Body is ${min}–${max} words`,
+    check(doc) {
+      if (doc.words < min) return [{ message: `body is ${doc.words} words (minimum ${min})` }];
+      if (doc.words > max) return [{ message: `body is ${doc.words} words (maximum ${max})` }];
+      return [];
+    },
+  };
+}
+
+// ---------- running ----------
+
+export function lintRecord(site, record) {
+  const rules = site.lint || [];
+  if (!rules.length) return [];
+  const doc = lintDoc(record);
+  return rules.flatMap(rule =>
+    rule.check(doc).map(f => ({ rule: rule.id, severity: rule.severity, message: f.message, excerpt: f.excerpt || "" })));
+}
+
+export function lintErrors(findings) {
+  return findings.filter(f => f.severity === "error");
+}
+
+// One line per finding, for logs and re-prompts
+export function formatFindings(findings) {
+  return findings.map(f => `- [${f.rule}] ${f.message}${f.excerpt ? ` in “${f.excerpt}”` : ""}`).join("\n");
+}
@@ -0,0 +1,41 @@
+/**
+ * llm/index.js — picks the LLM provider for this run.
+ *
+ * Provider interface:
+ *   { name, model, chatJSON({ site, task?, system, prompt, temperature, onUsage? }) → object }
+ *   (`task` is unset for article drafts, "translate" for translations; providers
+ *   call onUsage({ prompt_tokens, completion_tokens, total_tokens }) once per
+ *   request, for provenance and the run log, see lib/provenance.js)
+ *
+ * Env:
+ *  - LLM_PROVIDER: "openai" (default) | "compatible" | "mock"
+ *      openai      api.openai.com (or LLM_BASE_URL if set)
+ *      compatible  any OpenAI-compatible server at LLM_BASE_URL, key optional
+ *      mock        fixtures from scripts/fixtures/llm, no network, no key
+ *  - LLM_CONCURRENCY / LLM_RPM: caps on parallel calls / calls per minute
+ *    (default none; see lib/ratelimit.js, mostly for batch runs)
+ */
+
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+import { createLimiter, limitsFromEnv, limit } from "../ratelimit.js";
+
+const PROVIDERS = {
+  openai: () => createOpenAIProvider(),
+  compatible: () => {
+    if (!process.env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=compatible needs LLM_BASE_URL.");
+    return createOpenAIProvider({ name: "compatible" });
+  },
+  mock: () => createMockProvider(),
+};
+
+let current = null;
+
+export function getLLM() {
+  if (current) return current;
+  const name = (process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")}).`);
+  current = limit(factory(), "chatJSON", createLimiter(limitsFromEnv("LLM")));
+  return current;
+}
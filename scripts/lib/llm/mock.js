@@ -0,0 +1,43 @@
+/**
+ * mock.js — deterministic, offline LLM provider backed by JSON fixtures.
+ *
+ * Each site has scripts/fixtures/llm/<site>.json holding an array of raw
+ * model payloads; calls for another task read <site>.<task>.json instead
+ * (e.g. plants.translate.json, one payload per language in config order).
+ * Calls are answered in order (wrapping around), so a re-prompt gets the
+ * next fixture. Placeholders in string values:
+ *  - {{date}}  today's date (YYYY-MM-DD)
+ * Token usage is estimated at 4 characters per token, so offline runs fill in
+ * provenance and the run log like real ones.
+ *
+ * Env:
+ *  - LLM_FIXTURES_DIR (default scripts/fixtures/llm)
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readJSONSafe, todayISO } from "../util.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "fixtures", "llm");
+
+export function createMockProvider({
+  fixturesDir = process.env.LLM_FIXTURES_DIR || FIXTURES_DIR,
+} = {}) {
+  const calls = new Map(); // fixture file → number of calls answered so far
+
+  async function chatJSON({ site, task, system = "", prompt = "", onUsage }) {
+    const file = path.join(fixturesDir, task ? `${site}.${task}.json` : `${site}.json`);
+    const fixtures = readJSONSafe(file, null);
+    if (!Array.isArray(fixtures) || !fixtures.length) throw new Error(`Mock LLM: no fixtures in ${file}`);
+
+    const n = calls.get(file) || 0;
+    calls.set(file, n + 1);
+    const raw = JSON.stringify(fixtures[n % fixtures.length]).replace(/\{\{date\}\}/g, todayISO());
+    const promptTokens = Math.ceil((system.length + prompt.length) / 4);
+    const completionTokens = Math.ceil(raw.length / 4);
+    onUsage?.({ prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens });
+    return JSON.parse(raw);
+  }
+
+  return { name: "mock", model: "mock", chatJSON };
+}
@@ -0,0 +1,55 @@
+/**
+ * openai.js — Chat Completions in JSON mode, against api.openai.com or any
+ * OpenAI-compatible server (llama.cpp, Ollama, vLLM…).
+ *
+ * Env:
+ *  - OPENAI_API_KEY (required for api.openai.com; optional elsewhere)
+ *  - LLM_BASE_URL   (default https://api.openai.com/v1)
+ *  - LLM_MODEL / OPENAI_MODEL (default gpt-4o-mini)
+ */
+
+import { stripFences } from "../util.js";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+export function createOpenAIProvider({
+  name = "openai",
+  baseUrl = process.env.LLM_BASE_URL || OPENAI_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY || "",
+  model = (process.env.LLM_MODEL || process.env.OPENAI_MODEL || "gpt-4o-mini").trim(),
+} = {}) {
+  baseUrl = baseUrl.replace(/\/$/, "");
+
+  async function chatJSON({ system, prompt, temperature = 0.7, onUsage }) {
+    if (!apiKey && baseUrl === OPENAI_BASE_URL) throw new Error("OPENAI_API_KEY missing.");
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+        temperature,
+        response_format: { type: "json_object" },
+      }),
+    });
+
+    if (!res.ok) {
+      const errText = await res.text().catch(() => "");
+      throw new Error(`LLM error ${res.status}: ${errText}`);
+    }
+
+    const data = await res.json();
+    onUsage?.(data.usage || null);
+    const content = stripFences(data.choices?.[0]?.message?.content || "");
+    return JSON.parse(content);
+  }
+
+  return { name, model, chatJSON };
+}
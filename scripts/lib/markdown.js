@@ -0,0 +1,429 @@
+/**
+ * markdown.js — Markdown ⇄ HTML for article bodies, plus YAML front matter
+ * (no external deps).
+ *
+ * Covers what article bodies use: ATX headings, paragraphs, bullet and numbered
+ * lists (nested by indentation), blockquotes, **bold**, *italic*, `code`,
+ * [links](url), ![images](url) and hard breaks (backslash or two trailing
+ * spaces). Inline HTML (e.g. <small>) and lines starting with a block-level
+ * tag pass through untouched; the article sanitizer decides what survives.
+ *
+ * Front matter is the YAML subset hand-written files need: `key: value` with
+ * plain, "double" or 'single' quoted scalars, [flow, lists] and "- item"
+ * block lists. Writing uses JSON-quoted values, which YAML reads as is.
+ *
+ *   parseFrontMatter(text)          → { data, body }
+ *   stringifyFrontMatter(data, body) → "---\n…\n---\n\nbody"
+ *   markdownToHTML(md)              → html
+ *   htmlToMarkdown(html)            → md
+ */
+
+// ---------- front matter ----------
+
+const FENCE_RE = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function unquote(raw, lineNo) {
+  const v = raw.trim();
+  if (v.startsWith('"')) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      throw new Error(`front matter line ${lineNo}: bad double-quoted string ${v}`);
+    }
+  }
+  if (v.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(v)) throw new Error(`front matter line ${lineNo}: bad single-quoted string ${v}`);
+    return v.slice(1, -1).replace(/''/g, "'");
+  }
+  return v.replace(/\s+#.*$/, "");
+}
+
+// "[a, 'b, c', "d"]" → ["a", "b, c", "d"]
+function flowList(raw, lineNo) {
+  const inner = raw.trim().slice(1, -1);
+  const items = inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [];
+  return items.map(s => unquote(s, lineNo)).filter(s => s !== "");
+}
+
+export function parseFrontMatter(text) {
+  const src = String(text || "").replace(/^﻿/, "");
+  const m = src.match(FENCE_RE);
+  if (!m) return { data: {}, body: src };
+
+  const data = {};
+  const bare = new Set();
+  let listKey = null;
+  m[1].split(/\r?\n/).forEach((line, i) => {
+    const lineNo = i + 2;
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1], lineNo));
+      return;
+    }
+    const kv = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+    if (!kv) throw new Error(`front matter line ${lineNo}: expected "key: value", got "${line.trim()}"`);
+    const [, key, value = ""] = kv;
+    listKey = null;
+    if (!value.trim()) {
+      data[key] = [];
+      bare.add(key);
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = flowList(value, lineNo);
+    } else {
+      data[key] = unquote(value, lineNo);
+    }
+  });
+  // "key:" with nothing under it is an empty value, not an empty list
+  bare.forEach(k => {
+    if (!data[k].length) data[k] = "";
+  });
+  return { data, body: src.slice(m[0].length) };
+}
+
+export function stringifyFrontMatter(data, body = "") {
+  const lines = Object.entries(data)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${k}: ${Array.isArray(v) ? `[${v.map(s => JSON.stringify(String(s))).join(", ")}]` : JSON.stringify(String(v))}`);
+  return `---\n${lines.join("\n")}\n---\n\n${body.replace(/^\n+/, "")}`;
+}
+
+// ---------- Markdown → HTML ----------
+
+const BLOCK_TAGS = "h[1-6]|p|ul|ol|li|blockquote|div|table|thead|tbody|tr|td|th|figure|figcaption|pre|hr|section|aside";
+const BLOCK_HTML_RE = new RegExp(`^<\\/?(?:${BLOCK_TAGS})(?:[\\s>/]|$)`, "i");
+const INLINE_TAG_RE = /<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g;
+const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_RE = /^ {0,3}(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+
+function escAttr(s) {
+  return String(s).replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function escText(s) {
+  return s.replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// [text](url "title") target: url plus optional title
+function linkTarget(raw) {
+  const m = raw.trim().match(/^<?([^\s>]*)>?(?:\s+"([^"]*)")?$/);
+  return m ? { url: m[1], title: m[2] } : { url: raw.trim(), title: undefined };
+}
+
+export function inlineToHTML(text) {
+  const held = [];
+  const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+  let s = text
+    // code spans and backslash escapes are literal; raw tags pass through
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escText(code.trim())}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!<>|~])/g, (m, c) => hold(escText(c)))
+    .replace(/ {2,}\n|\\\n/g, () => hold("<br>"))
+    .replace(INLINE_TAG_RE, tag => hold(tag));
+
+  s = escText(s)
+    .replace(/!\[([^\]]*)\]\(([^)]*)\)/g, (m, alt, target) => {
+      const { url } = linkTarget(target);
+      return hold(`<img src="${escAttr(url)}" alt="${escAttr(alt)}">`);
+    })
+    .replace(/\[([^\]]+)\]\(([^)]*)\)/g, (m, label, target) => {
+      const { url, title } = linkTarget(target);
+      return `${hold(`<a href="${escAttr(url)}"${title ? ` title="${escAttr(title)}"` : ""}>`)}${label}${hold("</a>")}`;
+    })
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, (m, mark, inner) => `<strong>${inner}</strong>`)
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*|(?<![\w])_(?=\S)([^_]*?\S)_(?![\w])/g, (m, a, b) => `<em>${a ?? b}</em>`);
+
+  return s.replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]).replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
+}
+
+function isBlank(line) {
+  return !line.trim();
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+// Interrupts a paragraph: heading, rule, list item, quote or block-level HTML
+function startsBlock(line) {
+  return HEADING_RE.test(line) || RULE_RE.test(line) || LIST_RE.test(line) || /^ {0,3}>/.test(line) || BLOCK_HTML_RE.test(line.trim());
+}
+
+function listBlock(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const ordered = /\d/.test(first[2]);
+  const base = first[1].length;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_RE);
+    if (!m || m[1].length !== base || /\d/.test(m[2]) !== ordered) break;
+    const contentIndent = m[0].length - m[3].length;
+    const item = [m[3]];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        // a blank line ends the item unless indented content follows
+        if (i + 1 < lines.length && !isBlank(lines[i + 1]) && indentOf(lines[i + 1]) > base) {
+          item.push("");
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) > base) item.push(line.slice(Math.min(indentOf(line), contentIndent)));
+      else if (!startsBlock(line)) item.push(line.trim()); // lazy continuation
+      else break;
+      i++;
+    }
+    items.push(item);
+    // loose lists: one blank line between items keeps the list going
+    if (i < lines.length && isBlank(lines[i]) && i + 1 < lines.length) {
+      const next = lines[i + 1].match(LIST_RE);
+      if (next && next[1].length === base && /\d/.test(next[2]) === ordered) i++;
+    }
+  }
+
+  const tag = ordered ? "ol" : "ul";
+  const startNo = ordered ? parseInt(first[2], 10) : 1;
+  const lis = items.map(item => {
+    const text = [];
+    let k = 0;
+    while (k < item.length && item[k] !== "" && !startsBlock(item[k])) text.push(item[k++]);
+    const rest = item.slice(k).join("\n");
+    return `<li>${inlineToHTML(text.join("\n"))}${rest.trim() ? blocksToHTML(rest) : ""}</li>`;
+  });
+  return { html: `<${tag}${ordered && startNo !== 1 ? ` start="${startNo}"` : ""}>${lis.join("")}</${tag}>`, next: i };
+}
+
+function blocksToHTML(md) {
+  const lines = md.replace(/\t/g, "    ").split(/\r?\n/);
+  const out = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) out.push(`<p>${inlineToHTML(para.join("\n").trim())}</p>`);
+    para = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      flush();
+      i++;
+    } else if (HEADING_RE.test(line) && !(para.length && RULE_RE.test(line))) {
+      flush();
+      const [, hashes, text = ""] = line.match(HEADING_RE);
+      out.push(`<h${hashes.length}>${inlineToHTML(text.trim())}</h${hashes.length}>`);
+      i++;
+    } else if (RULE_RE.test(line)) {
+      flush();
+      out.push("<hr>");
+      i++;
+    } else if (/^ {0,3}>/.test(line)) {
+      flush();
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i]) && (/^ {0,3}>/.test(lines[i]) || !startsBlock(lines[i]))) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ""));
+        i++;
+      }
+      out.push(`<blockquote>${blocksToHTML(quoted.join("\n"))}</blockquote>`);
+    } else if (LIST_RE.test(line) && (!para.length || !/^\d/.test(line.trim()) || /^ *1[.)]/.test(line))) {
+      flush();
+      const { html, next } = listBlock(lines, i);
+      out.push(html);
+      i = next;
+    } else if (BLOCK_HTML_RE.test(line.trim()) && !para.length) {
+      const raw = [];
+      while (i < lines.length && !isBlank(lines[i])) raw.push(lines[i++]);
+      out.push(raw.join("\n"));
+    } else {
+      para.push(line);
+      i++;
+    }
+  }
+  flush();
+  return out.join("\n");
+}
+
+export function markdownToHTML(md) {
+  return blocksToHTML(String(md || "").replace(/\r\n?/g, "\n"));
+}
+
+// ---------- HTML → Markdown ----------
+
+const VOID = new Set(["br", "img", "hr", "wbr", "source"]);
+const TOKEN_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const MD_BLOCKS = new Set(["h1", "h2", "h3", "h4", "h5", "h6", "p", "ul", "ol", "blockquote", "hr"]);
+const MD_INLINE = new Set(["strong", "b", "em", "i", "code", "a", "img", "br"]);
+const ENTITY_LIKE = /^(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);/i;
+
+function attrsOf(raw) {
+  const attrs = {};
+  for (const m of raw.matchAll(ATTR_RE)) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? "";
+  return attrs;
+}
+
+// Flat tag soup → tree; unclosed tags close with their parent
+function parseHTML(html) {
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  let last = 0;
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(html))) {
+    if (m.index > last) stack.at(-1).children.push(html.slice(last, m.index));
+    last = TOKEN_RE.lastIndex;
+    if (m[0].startsWith("<!--")) continue;
+    const tag = m[2].toLowerCase();
+    if (m[1]) {
+      const at = stack.map(n => n.tag).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    const node = { tag, attrs: attrsOf(m[3]), raw: m[0], children: [] };
+    stack.at(-1).children.push(node);
+    if (!VOID.has(tag) && !m[0].endsWith("/>")) stack.push(node);
+  }
+  if (last < html.length) stack.at(-1).children.push(html.slice(last));
+  return root;
+}
+
+// Readable characters for the common entities; &lt;, &nbsp; and the like stay,
+// as does an &amp; that would otherwise read as the start of an entity
+function decode(s) {
+  return s.replace(/&(amp|quot|apos|gt|#\d+|#x[0-9a-f]+);/gi, (m, e, at) => {
+    const name = e.toLowerCase();
+    const code = name[0] !== "#" ? 0 : name[1] === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    if (name[0] === "#" && !(code > 0 && code < 0x110000)) return m;
+    const c = name === "amp" ? "&" : name === "quot" ? '"' : name === "apos" ? "'" : name === "gt" ? ">" : String.fromCodePoint(code);
+    if (c === "<" || /[\u0000-\u001f\u00a0]/.test(c)) return m;
+    return c === "&" && ENTITY_LIKE.test(s.slice(at + m.length)) ? m : c;
+  });
+}
+
+// Text → Markdown text: entities readable, Markdown punctuation escaped
+function mdText(s) {
+  return decode(s)
+    .replace(/[\\`*_[\]]/g, c => `\\${c}`)
+    .replace(/[ \t\r\n]+/g, " ");
+}
+
+function outerHTML(node) {
+  if (typeof node === "string") return node;
+  if (VOID.has(node.tag)) return node.raw;
+  return `${node.raw}${node.children.map(outerHTML).join("")}</${node.tag}>`;
+}
+
+function inlineMd(nodes) {
+  return nodes.map(node => {
+    if (typeof node === "string") return mdText(node);
+    const inner = () => inlineMd(node.children).trim();
+    switch (node.tag) {
+      case "strong":
+      case "b":
+        return `**${inner()}**`;
+      case "em":
+      case "i":
+        return `*${inner()}*`;
+      case "code":
+        return `\`${decode(node.children.map(outerHTML).join(""))}\``;
+      case "br":
+        return "\\\n";
+      case "img":
+        return `![${mdText(node.attrs.alt || "")}](${node.attrs.src || ""})`;
+      case "a": {
+        const title = node.attrs.title ? ` "${decode(node.attrs.title).replace(/"/g, "'")}"` : "";
+        return `[${inner()}](${(node.attrs.href || "").replace(/ /g, "%20")}${title})`;
+      }
+      default:
+        // no Markdown for it (e.g. <small>): keep the tags, convert what's inside
+        return MD_BLOCKS.has(node.tag) ? inlineMd(node.children) : `${node.raw}${inlineMd(node.children)}</${node.tag}>`;
+    }
+  }).join("");
+}
+
+// A paragraph-ish line must not read as a heading, list item or quote
+function guardStart(line) {
+  return line.replace(/^(#{1,6}(?=\s)|[-+>](?=\s)|\d+(?=[.)]\s))/, m => (/^\d/.test(m) ? `${m}\\` : `\\${m}`));
+}
+
+function indent(text, pad) {
+  return text.split("\n").map(l => (l ? pad + l : l)).join("\n");
+}
+
+function listMd(node) {
+  const ordered = node.tag === "ol";
+  let n = ordered ? parseInt(node.attrs.start || "1", 10) || 1 : 0;
+  return node.children
+    .filter(c => typeof c !== "string" || c.trim())
+    .map(li => {
+      const marker = ordered ? `${n++}. ` : "- ";
+      const kids = typeof li === "string" ? [li] : li.tag === "li" ? li.children : [li];
+      const inline = [];
+      const blocks = [];
+      kids.forEach(k => ((typeof k !== "string" && (MD_BLOCKS.has(k.tag) || !MD_INLINE.has(k.tag) && isBlockHTML(k))) || blocks.length ? blocks : inline).push(k));
+      const head = guardStart(inlineMd(inline).trim());
+      const body = blocks.length ? blocksMd(blocks) : "";
+      // a paragraph under the item's first line needs a blank line, a nested list doesn't
+      const gap = /^(?:[-*+]|\d+[.)]) /.test(body) ? "\n" : "\n\n";
+      return `${marker}${head}${body ? `${head ? gap : ""}${indent(body, " ".repeat(marker.length))}` : ""}`;
+    })
+    .join("\n");
+}
+
+function isBlockHTML(node) {
+  return BLOCK_HTML_RE.test(`<${node.tag}>`);
+}
+
+function blockMd(node) {
+  if (typeof node === "string") return node.trim() ? guardStart(mdText(node).trim()) : "";
+  const h = node.tag.match(/^h([1-6])$/);
+  if (h) return `${"#".repeat(Number(h[1]))} ${inlineMd(node.children).trim()}`;
+  switch (node.tag) {
+    case "p":
+      // <p>…<ul>…</ul></p> from sloppy markup: the list gets its own block
+      if (node.children.some(c => typeof c !== "string" && MD_BLOCKS.has(c.tag))) return blocksMd(node.children);
+      return guardStart(inlineMd(node.children).trim().replace(/\\\n\s*/g, "\\\n"));
+    case "ul":
+    case "ol":
+      return listMd(node);
+    case "blockquote":
+      return blocksMd(node.children).split("\n").map(l => (l ? `> ${l}` : ">")).join("\n");
+    case "hr":
+      return "---";
+    default:
+      return isBlockHTML(node) ? outerHTML(node) : guardStart(inlineMd([node]).trim());
+  }
+}
+
+function blocksMd(nodes) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    const text = inlineMd(run).trim();
+    if (text) out.push(guardStart(text));
+    run = [];
+  };
+  for (const node of nodes) {
+    if (typeof node === "string" || MD_INLINE.has(node.tag) || !MD_BLOCKS.has(node.tag) && !isBlockHTML(node)) {
+      run.push(node);
+      continue;
+    }
+    flush();
+    const md = blockMd(node);
+    if (md) out.push(md);
+  }
+  flush();
+  return out.join("\n\n");
+}
+
+export function htmlToMarkdown(html) {
+  const md = blocksMd(parseHTML(String(html || "")).children);
+  return `${md.replace(/\n{3,}/g, "\n\n").trim()}\n`;
+}
@@ -0,0 +1,69 @@
+/**
+ * novelty.js — "have we already published this?" screening.
+ *
+ *  - recentWindow(): last N days, for the prompt's do-not-repeat lists
+ *  - semantic guard: a draft's embedding vs. the WHOLE archive (cosine),
+ *    backed by the store in lib/embeddings/store.js, plus drafts still
+ *    awaiting review and earlier items of a batch run (ctx.pending,
+ *    embedded when first seen and not stored)
+ *
+ * Env:
+ *  - NOVELTY_THRESHOLD (default: the embedding provider's own threshold)
+ */
+
+import { getEmbedder } from "./embeddings/index.js";
+import { syncEmbeddings, saveEmbeddings, embeddingText, articleText, nearest } from "./embeddings/store.js";
+
+export const NOVELTY_WINDOW_DAYS = 90;  // look back window for prompt avoid lists
+const NEIGHBOURS = 5;                   // nearest articles reported back to the prompt
+
+export function recentWindow(articles, days = NOVELTY_WINDOW_DAYS) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  return articles.filter(a => {
+    const d = new Date(a.date || a.createdAt || 0);
+    return d >= cutoff;
+  });
+}
+
+// ---------- semantic guard ----------
+
+// Loads (and backfills) the site's embedding store into ctx.novelty
+export async function prepareNovelty(ctx) {
+  const embedder = getEmbedder();
+  const store = await syncEmbeddings(ctx, embedder);
+  const threshold = Number(process.env.NOVELTY_THRESHOLD) || embedder.threshold;
+  ctx.novelty = { embedder, store, pending: {}, threshold, vectors: new Map() };
+}
+
+// Vectors for the records currently in ctx.pending (it grows during a batch run)
+async function pendingVectors(ctx) {
+  const { embedder, pending } = ctx.novelty;
+  const missing = ctx.pending.filter(a => !pending[a.id]);
+  if (missing.length) {
+    const vectors = await embedder.embed(missing.map(articleText));
+    missing.forEach((a, i) => { pending[a.id] = vectors[i]; });
+  }
+  return Object.fromEntries(ctx.pending.map(a => [a.id, pending[a.id]]));
+}
+
+// → { score, neighbours: [{ id, title, score }] } — score is the closest match (0 if the archive is empty)
+export async function semanticNeighbours(draft, ctx) {
+  const { embedder, store, vectors } = ctx.novelty;
+  const pending = await pendingVectors(ctx);
+  const [vector] = await embedder.embed([embeddingText({ ...draft, body: draft.body ?? draft.body_html })]);
+  vectors.set(draft, vector);
+
+  const titles = new Map([...ctx.pending, ...ctx.articles].map(a => [a.id, a.title]));
+  const neighbours = nearest({ vectors: { ...pending, ...store.vectors } }, embedder, vector, NEIGHBOURS)
+    .map(n => ({ ...n, title: titles.get(n.id) || n.id }));
+  return { score: neighbours[0]?.score || 0, neighbours };
+}
+
+// Adds the saved article's vector (computed during the check) to the store
+export function rememberEmbedding(ctx, id, draft) {
+  const vector = ctx.novelty?.vectors.get(draft);
+  if (!vector) return;
+  ctx.novelty.store.vectors[id] = vector;
+  saveEmbeddings(ctx, ctx.novelty.store);
+}
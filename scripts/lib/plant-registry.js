@@ -0,0 +1,158 @@
+/**
+ * plant-registry.js — canonical list of published plants, one entry per taxon.
+ *
+ * docs/plants/data/registry.json:
+ *   {
+ *     version: 1,
+ *     taxa: [{
+ *       key: "mentha piperita",              // normalized scientific name
+ *       scientific_name: "Mentha × piperita",
+ *       common_names: ["Peppermint"],
+ *       aliases: ["Pepper mint", …],          // model-supplied aliases, old keys
+ *       articles: ["peppermint-uses-history-and-preparations", …]
+ *     }, …]
+ *   }
+ *
+ * A draft repeats a taxon when its normalized scientific name matches (a
+ * genus-only name like "Rosa" or "Jasminum spp." matches any species of that
+ * genus), or when any of its names/aliases matches an entry's names/aliases.
+ */
+
+import path from "path";
+import { readJSONSafe, writeJSON } from "./util.js";
+
+// Widely used synonyms → accepted name (normalized keys)
+const SYNONYMS = {
+  "rosmarinus officinalis": "salvia rosmarinus",
+  "ocimum sanctum": "ocimum tenuiflorum",
+  "matricaria recutita": "matricaria chamomilla",
+  "chamomilla recutita": "matricaria chamomilla",
+  "aloe barbadensis": "aloe vera",
+  "citrus aurantiifolia": "citrus aurantifolia",
+  "cinnamomum zeylanicum": "cinnamomum verum",
+};
+
+const RANK_MARKERS = new Set(["var", "subsp", "ssp", "f", "cv"]);
+
+export function registryPath(ctx) {
+  return path.join(ctx.dataDir, "registry.json");
+}
+
+function fold(s) {
+  return String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Common names / aliases / legacy keys: "Lemon_Balm" → "lemon balm"
+export function normalizeName(s) {
+  return fold(s).replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// "Mentha × piperita L." → "mentha piperita"; "Jasminum spp." → "jasminum"
+export function normalizeScientific(s) {
+  const words = fold(s)
+    .replace(/\(.*?\)/g, " ")
+    .replace(/×/g, " ")
+    .split(/[^a-z.-]+/)
+    .map(w => w.replace(/\.$/, ""))
+    .filter(w => w && w !== "x");
+  if (!words.length) return "";
+
+  const [genus, species, ...rest] = words;
+  if (!species || species === "spp" || species === "sp" || genus.endsWith("aceae") || genus.endsWith("oideae")) return genus;
+
+  let key = `${genus} ${species}`;
+  if (RANK_MARKERS.has(rest[0]) && rest[1]) key += ` ${rest[0]} ${rest[1]}`;
+  return SYNONYMS[key] || key;
+}
+
+function genusOf(key) {
+  return key.split(" ")[0];
+}
+
+function isGenusOnly(key) {
+  return !key.includes(" ");
+}
+
+function sameTaxon(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return (isGenusOnly(a) || isGenusOnly(b)) && genusOf(a) === genusOf(b);
+}
+
+function namesOf(entry) {
+  return [...entry.common_names, ...entry.aliases].map(normalizeName).filter(Boolean);
+}
+
+// ---------- load / save ----------
+
+export function emptyRegistry() {
+  return { version: 1, taxa: [] };
+}
+
+export function loadRegistry(ctx) {
+  const reg = readJSONSafe(registryPath(ctx), null);
+  if (!reg) return emptyRegistry();
+  if (!Array.isArray(reg.taxa)) throw new Error(`${registryPath(ctx)} has no "taxa" array.`);
+  return reg;
+}
+
+export function saveRegistry(ctx, reg) {
+  reg.taxa.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  writeJSON(registryPath(ctx), reg);
+}
+
+// ---------- matching ----------
+
+// plant: { scientific_name, common_name, aliases? } → matching entry or null
+export function findTaxon(reg, plant) {
+  const key = normalizeScientific(plant.scientific_name);
+  const byName = reg.taxa.find(t => sameTaxon(t.key, key));
+  if (byName) return byName;
+
+  const names = new Set([plant.common_name, ...(plant.aliases || [])].map(normalizeName).filter(Boolean));
+  return reg.taxa.find(t => namesOf(t).some(n => names.has(n))) || null;
+}
+
+function addUnique(list, values) {
+  for (const v of values) {
+    const s = String(v || "").trim();
+    if (s && !list.some(x => normalizeName(x) === normalizeName(s))) list.push(s);
+  }
+}
+
+// Records an article under its taxon (creating the entry if needed) → entry
+export function registerPlant(reg, plant, articleId) {
+  let entry = findTaxon(reg, plant);
+  if (!entry) {
+    entry = {
+      key: normalizeScientific(plant.scientific_name) || normalizeName(plant.common_name),
+      scientific_name: String(plant.scientific_name || "").trim(),
+      common_names: [],
+      aliases: [],
+      articles: [],
+    };
+    reg.taxa.push(entry);
+  }
+  addUnique(entry.common_names, [plant.common_name]);
+  addUnique(entry.aliases, (plant.aliases || []).filter(a => !entry.common_names.some(c => normalizeName(c) === normalizeName(a))));
+  if (articleId && !entry.articles.includes(articleId)) entry.articles.push(articleId);
+  return entry;
+}
+
+// Removes an article from its taxon; taxa left without articles are dropped → entry or null
+export function unregisterArticle(reg, articleId) {
+  const entry = reg.taxa.find(t => t.articles.includes(articleId));
+  if (!entry) return null;
+  entry.articles = entry.articles.filter(id => id !== articleId);
+  if (!entry.articles.length) reg.taxa = reg.taxa.filter(t => t !== entry);
+  return entry;
+}
+
+// "Peppermint (Mentha × piperita)" — for prompts and messages
+export function taxonLabel(entry) {
+  const name = entry.common_names[0] || entry.aliases[0] || entry.key;
+  return entry.scientific_name ? `${name} (${entry.scientific_name})` : name;
+}
@@ -0,0 +1,75 @@
+/**
+ * provenance.js — how a generated article came to be, stored on its record:
+ *
+ *   provenance: {
+ *     generated_at: "2026-10-18T02:30:12.345Z",
+ *     llm: "openai", model: "gpt-4o-mini",
+ *     prompt_hash: "3f9c…",        // sha256 (16 hex) of system + prompt of the accepted attempt
+ *     archetype: "myth-busting",   // the record's taxonomy archetype, when it has one
+ *     attempts: 2,                 // drafts requested: novelty / policy re-prompts + 1
+ *     repairs: 0,                  // schema repair re-prompts over all attempts
+ *     rejections: [{ reason, similarity? }],   // why the earlier attempts were turned down
+ *     image: { provider: "deepai", fallback: false },   // fallback: an earlier provider failed
+ *     usage: { calls, prompt_tokens, completion_tokens, total_tokens }   // every LLM call for it
+ *   }
+ *
+ * The engine keeps a trace per article (ctx.trace) while it generates, and the
+ * run log (lib/runlog.js) sums the same counters for the whole run. Records
+ * written by hand (markdown import) have no provenance.
+ */
+
+import crypto from "crypto";
+import { getLLM } from "./llm/index.js";
+
+const USAGE_KEYS = ["prompt_tokens", "completion_tokens", "total_tokens"];
+
+export function newUsage() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+// Per-article counters (createContext, and each batch slot)
+export function newTrace() {
+  return { ...newUsage(), repairs: 0, prompt_hash: null };
+}
+
+// One LLM call's usage (null when the provider reports none) → each counter given
+export function countUsage(usage, ...counters) {
+  for (const c of counters.filter(Boolean)) {
+    c.calls++;
+    for (const k of USAGE_KEYS) c[k] += Number(usage?.[k]) || 0;
+  }
+}
+
+export function usageOf(counter) {
+  return Object.fromEntries(["calls", ...USAGE_KEYS].map(k => [k, counter[k]]));
+}
+
+export function promptHash(system, prompt) {
+  return crypto.createHash("sha256").update(`${system || ""}\n\n${prompt}`).digest("hex").slice(0, 16);
+}
+
+// generateImage() result → { provider, fallback }
+export function imageProvenance(image) {
+  return { provider: image.provider, fallback: Boolean(image.failed?.length) };
+}
+
+// A rejection from generateDraft (site.checkDraft or editorial lint) → what's worth keeping
+function rejectionOf(r) {
+  return { reason: r.reason, ...(typeof r.similarity === "number" ? { similarity: r.similarity } : {}) };
+}
+
+export function provenanceOf(ctx, record, image) {
+  const llm = getLLM();
+  return {
+    generated_at: new Date().toISOString(),
+    llm: llm.name,
+    model: llm.model,
+    prompt_hash: ctx.trace.prompt_hash,
+    ...(record.archetype ? { archetype: record.archetype } : {}),
+    attempts: ctx.attempt + 1,
+    repairs: ctx.trace.repairs,
+    rejections: ctx.rejected.map(rejectionOf),
+    image: imageProvenance(image),
+    usage: usageOf(ctx.trace),
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * ratelimit.js — concurrency and requests-per-minute caps for API calls.
+ *
+ *   const limiter = createLimiter({ concurrency: 2, rpm: 20 });
+ *   const result = await limiter.run(() => fetch(…));
+ *
+ * Calls start in order once fewer than `concurrency` are in flight and fewer
+ * than `rpm` started during the last minute (0 / Infinity = no cap).
+ *
+ * limitsFromEnv("LLM") reads LLM_CONCURRENCY / LLM_RPM; providers are wrapped
+ * with limit(provider, method, limiter) in llm/index.js and images/index.js.
+ */
+
+const MINUTE = 60_000;
+
+export function limitsFromEnv(prefix) {
+  const num = name => {
+    const raw = process.env[`${prefix}_${name}`];
+    if (raw == null || raw === "") return 0;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${prefix}_${name} must be a whole number ≥ 0 (got "${raw}").`);
+    return n;
+  };
+  return { concurrency: num("CONCURRENCY"), rpm: num("RPM") };
+}
+
+export function createLimiter({ concurrency = 0, rpm = 0 } = {}) {
+  const maxActive = concurrency || Infinity;
+  const perMinute = rpm || Infinity;
+  const queue = [];
+  const started = []; // start times within the last minute
+  let active = 0;
+  let timer = null;
+
+  function pump() {
+    const now = Date.now();
+    while (started.length && now - started[0] >= MINUTE) started.shift();
+
+    while (queue.length && active < maxActive && started.length < perMinute) {
+      const { fn, resolve, reject } = queue.shift();
+      active++;
+      started.push(now);
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+
+    // rate-capped: wake up when the oldest start leaves the window
+    if (queue.length && active < maxActive && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, started[0] + MINUTE - now);
+    }
+  }
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        pump();
+      });
+    },
+  };
+}
+
+// Routes provider[method] through the limiter (the provider itself is unchanged)
+export function limit(provider, method, limiter) {
+  return { ...provider, [method]: (...args) => limiter.run(() => provider[method](...args)) };
+}
@@ -0,0 +1,155 @@
+/**
+ * related.js — "Related reading": each record keeps `related: ["id", …]`,
+ * its most similar articles, best first.
+ *
+ * score = content cosine (embedding store, lib/embeddings/store.js)
+ *       + TAG_WEIGHT × tag overlap (shared tags weighted by rarity)
+ *
+ *  - refreshRelated(ctx)          recompute every record in ctx.articles; runs after
+ *                                 each publish so older articles pick up the new one
+ *  - relatedFor(ctx, record)      the list for one record that isn't published yet
+ *  - addInlineLinks(record, …)    links the first mention of a shared tag in the
+ *                                 body to a related article (site.inlineLinks caps it)
+ */
+
+import { getEmbedder } from "./embeddings/index.js";
+import { syncEmbeddings, articleText, cosine } from "./embeddings/store.js";
+import { articleUrl } from "./build/pages.js";
+
+export const RELATED_LIMIT = 4;
+const TAG_WEIGHT = 0.5;
+const MIN_SCORE = 0.15;       // below this an article isn't "related", just nearby
+const COMMON_TAG_SHARE = 0.25; // tags on more articles than this never become inline links
+
+// ---------- scoring ----------
+
+function tagsOf(a) {
+  return new Set([a.tag, ...(a.tags || [])].filter(Boolean).map(t => String(t).trim().toLowerCase()));
+}
+
+function tagWeights(articles) {
+  const df = new Map();
+  articles.forEach(a => tagsOf(a).forEach(t => df.set(t, (df.get(t) || 0) + 1)));
+  return new Map([...df].map(([t, n]) => [t, Math.log(1 + articles.length / n)]));
+}
+
+function tagOverlap(a, b, weights) {
+  const ta = tagsOf(a);
+  const tb = tagsOf(b);
+  let shared = 0;
+  let all = 0;
+  for (const t of new Set([...ta, ...tb])) {
+    const w = weights.get(t) || 0;
+    all += w;
+    if (ta.has(t) && tb.has(t)) shared += w;
+  }
+  return all ? shared / all : 0;
+}
+
+// Embeddings for the archive, weighed once for the whole corpus
+async function similarity(ctx) {
+  const embedder = getEmbedder();
+  const store = await syncEmbeddings(ctx, embedder);
+  const weigh = embedder.weigh ? embedder.weigh(Object.values(store.vectors)) : v => v;
+  const vectors = new Map(Object.entries(store.vectors).map(([id, v]) => [id, weigh(v)]));
+  return { embedder, weigh, vectors, tags: tagWeights(ctx.articles) };
+}
+
+// Best matches first; one article per title, so archive duplicates don't fill the list
+function rank(record, vector, articles, sim) {
+  const titles = new Set([record.title.trim().toLowerCase()]);
+  return articles
+    .filter(a => a.id !== record.id)
+    .map(a => {
+      const content = vector && sim.vectors.has(a.id) ? cosine(vector, sim.vectors.get(a.id)) : 0;
+      return { a, score: content + TAG_WEIGHT * tagOverlap(record, a, sim.tags) };
+    })
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((x, y) => y.score - x.score)
+    .filter(({ a }) => {
+      const title = a.title.trim().toLowerCase();
+      if (titles.has(title)) return false;
+      titles.add(title);
+      return true;
+    })
+    .slice(0, RELATED_LIMIT)
+    .map(({ a }) => a.id);
+}
+
+// ---------- public API ----------
+
+export async function relatedFor(ctx, record) {
+  const sim = await similarity(ctx);
+  const [raw] = await sim.embedder.embed([articleText(record)]);
+  return rank(record, sim.weigh(raw), ctx.articles, sim);
+}
+
+// Updates ctx.articles in place → number of records whose list changed
+export async function refreshRelated(ctx) {
+  const sim = await similarity(ctx);
+  let changed = 0;
+  ctx.articles = ctx.articles.map(a => {
+    const related = rank(a, sim.vectors.get(a.id), ctx.articles, sim);
+    if (JSON.stringify(related) === JSON.stringify(a.related || [])) return a;
+    changed++;
+    return { ...a, related };
+  });
+  return changed;
+}
+
+// Drops deleted ids from every list (no re-ranking; the next refresh fills the gap)
+export function forgetRelated(articles, ids) {
+  const gone = new Set(ids);
+  return articles.map(a => (a.related?.some(id => gone.has(id)) ? { ...a, related: a.related.filter(id => !gone.has(id)) } : a));
+}
+
+// Wraps the first mention of a tag shared with each related article in a link
+// to it, outside headings and existing links; at most `max` links
+export function addInlineLinks(record, ctx, max) {
+  const common = ctx.articles.length * COMMON_TAG_SHARE;
+  const counts = new Map();
+  ctx.articles.forEach(a => tagsOf(a).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  const own = tagsOf(record);
+
+  let body = record.body;
+  let added = 0;
+  const used = new Set(); // each phrase links once
+  for (const id of record.related || []) {
+    if (added >= max) break;
+    const target = ctx.articles.find(a => a.id === id);
+    if (!target) continue;
+    const phrases = [...tagsOf(target)]
+      .filter(t => own.has(t) && !used.has(t) && t.length >= 4 && (counts.get(t) || 0) <= common)
+      .sort((a, b) => b.length - a.length);
+    for (const phrase of phrases) {
+      const next = linkFirst(body, phrase, articleUrl(ctx, id));
+      if (next !== body) {
+        body = next;
+        used.add(phrase);
+        added++;
+        break;
+      }
+    }
+  }
+  return { ...record, body };
+}
+
+function linkFirst(html, phrase, href) {
+  const re = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+")}\\b`, "i");
+  const parts = html.split(/(<[^>]+>)/);
+  let skip = 0; // inside <a> or a heading
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.startsWith("<")) {
+      if (/^<(a|h[1-6])\b/i.test(part)) skip++;
+      else if (/^<\/(a|h[1-6])\b/i.test(part)) skip = Math.max(0, skip - 1);
+      continue;
+    }
+    if (skip) continue;
+    const m = part.match(re);
+    if (!m) continue;
+    parts[i] = `${part.slice(0, m.index)}<a href="${href}">${m[0]}</a>${part.slice(m.index + m[0].length)}`;
+    return parts.join("");
+  }
+  return html;
+}
@@ -0,0 +1,117 @@
+/**
+ * runlog.js — append-only log of generation runs, one JSON line per run in
+ * logs/<site>.jsonl (outside docs/, so nothing here is deployed; the daily
+ * workflows commit it, failed runs included):
+ *
+ *   {
+ *     started, finished,                  // ISO timestamps
+ *     site, trigger, mode,                // trigger: GitHub Actions event (schedule, …) or "local"
+ *     batch?: { count, from, to },        // --count / --from / --to runs (lib/batch.js)
+ *     status,                             // "ok" | "partial" (some batch items failed) | "failed"
+ *     llm, model,
+ *     articles: [{ id, title, date, status, attempts, rejections, image_provider, image_fallback, tokens }],
+ *     failures: [{ date?, error }],       // failed batch items, or the run's own error
+ *     usage: { calls, prompt_tokens, completion_tokens, total_tokens },   // translations included
+ *     run_url?                            // the Actions run, when there is one
+ *   }
+ *
+ * Summaries: npm run runs (scripts/runs.js).
+ *
+ * Env:
+ *  - RUN_LOG_DIR (default ./logs)
+ */
+
+import fs from "fs";
+import path from "path";
+import { ROOT_DIR } from "./util.js";
+import { newUsage, usageOf } from "./provenance.js";
+
+export function runLogPath(siteName) {
+  return path.join(process.env.RUN_LOG_DIR || path.join(ROOT_DIR, "logs"), `${siteName}.jsonl`);
+}
+
+function runUrl() {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}` : undefined;
+}
+
+// A run in progress; the engine fills in mode, batch, articles and failures (ctx.run)
+export function startRun(site) {
+  return {
+    started: new Date().toISOString(),
+    site: site.name,
+    trigger: process.env.GITHUB_EVENT_NAME || "local",
+    mode: null,
+    articles: [],
+    failures: [],
+    usage: newUsage(),
+  };
+}
+
+// A published (or held) record → its line in the run's articles
+export function logArticle(run, record, status) {
+  if (!run) return;
+  const p = record.provenance || {};
+  run.articles.push({
+    id: record.id,
+    title: record.title,
+    date: record.date,
+    status,
+    attempts: p.attempts,
+    rejections: (p.rejections || []).map(r => r.reason),
+    image_provider: p.image?.provider,
+    image_fallback: p.image?.fallback,
+    tokens: p.usage?.total_tokens,
+  });
+}
+
+export function logFailure(run, err, date) {
+  run?.failures.push({ ...(date ? { date } : {}), error: err.message || String(err) });
+}
+
+// Appends the finished run; a log that can't be written only warns
+export function finishRun(run, err = null, llm = {}) {
+  if (err && !run.failures.length) logFailure(run, err);
+  const status = !err ? "ok" : run.articles.length ? "partial" : "failed";
+  const entry = {
+    started: run.started,
+    finished: new Date().toISOString(),
+    site: run.site,
+    trigger: run.trigger,
+    mode: run.mode,
+    batch: run.batch,
+    status,
+    llm: llm.name,
+    model: llm.model,
+    articles: run.articles,
+    failures: run.failures,
+    usage: usageOf(run.usage),
+    run_url: runUrl(),
+  };
+  const file = runLogPath(run.site);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, "utf8");
+  } catch (e) {
+    console.warn(`⚠️  Run log not written (${file}): ${e.message}`);
+  }
+  return entry;
+}
+
+// → the site's runs, oldest first; unreadable lines are skipped with a warning
+export function readRunLog(siteName) {
+  const file = runLogPath(siteName);
+  if (!fs.existsSync(file)) return [];
+  const runs = [];
+  let bad = 0;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      runs.push(JSON.parse(line));
+    } catch {
+      bad++;
+    }
+  }
+  if (bad) console.warn(`⚠️  ${file}: skipped ${bad} unreadable line(s)`);
+  return runs;
+}
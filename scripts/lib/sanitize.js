@@ -0,0 +1,137 @@
+/**
+ * sanitize.js — allowlist HTML sanitizer for article bodies (no external deps).
+ *
+ * Kept:    h2–h6, p, br, ul, ol, li, strong, em, b, i, small, blockquote, code,
+ *          a[href|title] with http(s)/mailto or relative URLs,
+ *          img[src|alt|width|height] only when src is under imgBaseUrl
+ * Dropped with their content: script, style, iframe, object, embed, svg, math,
+ *          form controls and the like
+ * Unwrapped (text kept): every other tag
+ *
+ * sanitizeHTML(html, { imgBaseUrl }) → { html, removed: ["<script>", "onclick on <p>", …], unsafe }
+ * `unsafe` is true when something executable (script-like tags, on* handlers,
+ * javascript:/data: URLs) had to be removed, as opposed to harmless cleanup.
+ */
+
+import { htmlEsc } from "./util.js";
+
+const ALLOWED = {
+  h2: [], h3: [], h4: [], h5: [], h6: [],
+  p: [], br: [], ul: [], ol: [], li: [],
+  strong: [], em: [], b: [], i: [], small: [], blockquote: [], code: [],
+  a: ["href", "title"],
+  img: ["src", "alt", "width", "height"],
+};
+const VOID = new Set(["br", "img"]);
+const DROP_WITH_CONTENT = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet", "template", "noscript",
+  "svg", "math", "form", "textarea", "select", "button", "title", "head", "link", "meta", "base",
+]);
+const SAFE_SCHEME = /^(?:https?|mailto):/i;
+const ANY_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+
+const TAG_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", colon: ":", tab: "\t", newline: "\n", nbsp: "\u00a0" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : "";
+    }
+    return NAMED[e.toLowerCase()] ?? m;
+  });
+}
+
+// Stray < and > become entities; bare & is escaped unless it starts an entity
+function escapeText(s) {
+  return s
+    .replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function safeHref(value) {
+  // browsers ignore whitespace/control chars inside the scheme
+  const v = decodeEntities(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, "");
+  return SAFE_SCHEME.test(v) || !ANY_SCHEME.test(v);
+}
+
+export function sanitizeHTML(html, { imgBaseUrl = "" } = {}) {
+  const src = String(html || "");
+  const removed = [];
+  let unsafe = false;
+  const note = (what, dangerous = false) => {
+    removed.push(what);
+    if (dangerous) unsafe = true;
+  };
+
+  const out = [];
+  const stack = [];
+  let last = 0;
+  let m;
+  TAG_RE.lastIndex = 0;
+
+  while ((m = TAG_RE.exec(src))) {
+    out.push(escapeText(src.slice(last, m.index)));
+    last = TAG_RE.lastIndex;
+    if (m[0].startsWith("<!--")) continue;
+
+    const [, closing, rawName, rawAttrs] = m;
+    const name = rawName.toLowerCase();
+
+    if (DROP_WITH_CONTENT.has(name)) {
+      note(`<${name}>`, true);
+      if (!closing && !VOID.has(name)) {
+        const end = src.toLowerCase().indexOf(`</${name}`, last);
+        last = end === -1 ? src.length : src.indexOf(">", end) + 1 || src.length;
+        TAG_RE.lastIndex = last;
+      }
+      continue;
+    }
+
+    if (!ALLOWED[name]) {
+      if (!closing) note(`<${name}>`);
+      continue;
+    }
+
+    if (closing) {
+      const at = stack.lastIndexOf(name);
+      if (at === -1) continue;
+      while (stack.length > at) out.push(`</${stack.pop()}>`);
+      continue;
+    }
+
+    const attrs = [];
+    let keep = true;
+    ATTR_RE.lastIndex = 0;
+    let a;
+    while ((a = ATTR_RE.exec(rawAttrs))) {
+      const attr = a[1].toLowerCase();
+      const value = decodeEntities(a[2] ?? a[3] ?? a[4] ?? "");
+      if (!ALLOWED[name].includes(attr)) {
+        note(`${attr} on <${name}>`, attr.startsWith("on") || attr === "style" || attr === "srcdoc");
+      } else if (attr === "href" && !safeHref(value)) {
+        note(`href ${value.slice(0, 40)} on <a>`, true);
+      } else if (attr === "src" && !(imgBaseUrl && value.startsWith(`${imgBaseUrl}/`))) {
+        note(`<img> from ${value.slice(0, 60)}`, /^\s*(?:javascript|data|vbscript):/i.test(value));
+        keep = false;
+      } else if ((attr === "width" || attr === "height") && !/^\d{1,4}$/.test(value)) {
+        note(`${attr}="${value}" on <img>`);
+      } else {
+        attrs.push(` ${attr}="${htmlEsc(value)}"`);
+      }
+    }
+    if (name === "img" && !attrs.some(x => x.startsWith(" src="))) keep = false;
+    if (!keep) continue;
+
+    out.push(`<${name}${attrs.join("")}>`);
+    if (!VOID.has(name)) stack.push(name);
+  }
+
+  out.push(escapeText(src.slice(last)));
+  while (stack.length) out.push(`</${stack.pop()}>`);
+  return { html: out.join(""), removed, unsafe };
+}
@@ -0,0 +1,95 @@
+/**
+ * schema.js — tiny JSON Schema validator (no external deps).
+ *
+ * Supports the subset our schemas in scripts/schemas use:
+ *   $ref (local "#/$defs/…" only), type, enum, const, required, properties,
+ *   additionalProperties, minProperties, items, minItems, maxItems, uniqueItems,
+ *   minLength, maxLength, pattern, format: "date"
+ *
+ * validate() returns a list of human-readable errors ("$.tags: expected array");
+ * an empty list means the value is valid.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SCHEMAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "schemas");
+const cache = new Map();
+
+export function loadSchema(name) {
+  if (!cache.has(name)) {
+    cache.set(name, JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.json`), "utf8")));
+  }
+  return cache.get(name);
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  return type === t || (type === "number" && t === "integer");
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref "${ref}" (only local refs)`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+export function validate(value, schema, at = "$", root = schema) {
+  if (schema.$ref) schema = resolveRef(schema.$ref, root);
+
+  const errors = [];
+  const err = msg => errors.push(`${at}: ${msg}`);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      err(`expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) err(`must be one of ${JSON.stringify(schema.enum)}`);
+  if ("const" in schema && value !== schema.const) err(`must equal ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) err(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) err(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) err(schema.patternMessage || `must match /${schema.pattern}/`);
+    if (schema.format === "date" && !/^\d{4}-\d{2}-\d{2}$/.test(value)) err("must be a YYYY-MM-DD date");
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) err(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) err(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) err("items must be unique");
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(v, schema.items, `${at}[${i}]`, root)));
+  }
+
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+    if (schema.minProperties != null && keys.length < schema.minProperties) err(`must have at least ${schema.minProperties} properties`);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) err(`missing required property "${key}"`);
+    }
+    for (const key of keys) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validate(value[key], sub, `${at}.${key}`, root));
+      else if (schema.additionalProperties === false) err(`unexpected property "${key}"`);
+      else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(value[key], schema.additionalProperties, `${at}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function formatErrors(errors) {
+  return errors.map(e => `  - ${e}`).join("\n");
+}
@@ -0,0 +1,158 @@
+/**
+ * taxonomy.js — topic taxonomies and the coverage planner.
+ *
+ * scripts/taxonomies/<name>.json (maintained by hand):
+ *   {
+ *     archetypes: [{ key, label, cues: ["myth", …] }],
+ *     topics: [{ key, label, keywords: […], subtopics: [{ key, label, keywords: […] }] }]
+ *   }
+ * Keywords and cues are lowercase word prefixes ("beneficiar" matches "beneficiary").
+ *
+ * Records carry `topic` ("auto" or "auto/accident-claims") and `archetype`
+ * ("myth-busting"); records without them are classified on the fly.
+ *
+ *  - classify(record, taxonomy) → { topic, archetype } (null when nothing matches)
+ *  - coverage(articles, taxonomy) → article counts per topic × archetype cell and per subtopic
+ *  - planCells(articles, taxonomy, seed) → every cell, least covered first, each with
+ *    its least covered subtopic; ties are ordered by `seed` so equal cells rotate daily
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { htmlToText } from "./util.js";
+
+const TAXONOMIES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "taxonomies");
+const cache = new Map();
+
+// field weights for topic keywords; archetype cues only look at the framing fields
+const TOPIC_FIELDS = { tag: 4, title: 3, tags: 2, excerpt: 2, body: 1 };
+const ARCHETYPE_FIELDS = { title: 3, tags: 2, excerpt: 1 };
+const MAX_HITS = 3; // per keyword and field, so one long body can't outvote the title
+
+export function loadTaxonomy(name) {
+  if (!cache.has(name)) {
+    cache.set(name, JSON.parse(fs.readFileSync(path.join(TAXONOMIES_DIR, `${name}.json`), "utf8")));
+  }
+  return cache.get(name);
+}
+
+// ---------- classification ----------
+
+function fieldsOf(record) {
+  return {
+    tag: String(record.tag || record.primary_tag || "").toLowerCase(),
+    title: String(record.title || "").toLowerCase(),
+    tags: (record.tags || []).join(" · ").toLowerCase(),
+    excerpt: String(record.excerpt || "").toLowerCase(),
+    body: htmlToText(record.body ?? record.body_html).toLowerCase(),
+  };
+}
+
+function keywordRe(kw) {
+  return new RegExp(`(?<![a-z0-9])${kw.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "g");
+}
+
+function score(fields, weights, keywords) {
+  let total = 0;
+  for (const kw of keywords) {
+    const re = keywordRe(kw);
+    for (const [field, w] of Object.entries(weights)) {
+      total += w * Math.min(MAX_HITS, (fields[field].match(re) || []).length);
+    }
+  }
+  return total;
+}
+
+function best(items, scoreOf) {
+  let top = null;
+  let topScore = 0;
+  for (const item of items) {
+    const s = scoreOf(item);
+    if (s > topScore) {
+      top = item;
+      topScore = s;
+    }
+  }
+  return top;
+}
+
+export function classify(record, taxonomy) {
+  const fields = fieldsOf(record);
+  const subScores = new Map();
+  const topic = best(taxonomy.topics, t => {
+    let s = score(fields, TOPIC_FIELDS, t.keywords);
+    for (const sub of t.subtopics || []) {
+      const ss = score(fields, TOPIC_FIELDS, sub.keywords);
+      subScores.set(sub, ss);
+      s += ss;
+    }
+    return s;
+  });
+  const sub = topic ? best(topic.subtopics || [], s => subScores.get(s)) : null;
+  const archetype = best(taxonomy.archetypes, a => score(fields, ARCHETYPE_FIELDS, a.cues));
+  return {
+    topic: topic ? (sub ? `${topic.key}/${sub.key}` : topic.key) : null,
+    archetype: archetype?.key || null,
+  };
+}
+
+// Stored classification, else computed
+export function cellOf(record, taxonomy) {
+  if (record.topic && record.archetype) return { topic: record.topic, archetype: record.archetype };
+  const auto = classify(record, taxonomy);
+  return { topic: record.topic || auto.topic, archetype: record.archetype || auto.archetype };
+}
+
+// ---------- coverage ----------
+
+// → { cells: Map("topic|archetype" → n), topics: Map, subtopics: Map("topic/sub" → n), unclassified: [record] }
+export function coverage(articles, taxonomy) {
+  const cells = new Map();
+  const topics = new Map();
+  const subtopics = new Map();
+  const unclassified = [];
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  for (const a of articles) {
+    const { topic, archetype } = cellOf(a, taxonomy);
+    if (!topic) {
+      unclassified.push(a);
+      continue;
+    }
+    const [main] = topic.split("/");
+    bump(topics, main);
+    if (topic.includes("/")) bump(subtopics, topic);
+    if (archetype) bump(cells, `${main}|${archetype}`);
+  }
+  return { cells, topics, subtopics, unclassified };
+}
+
+function tieBreak(seed, key) {
+  return crypto.createHash("sha1").update(`${seed}|${key}`).digest("hex");
+}
+
+// → [{ topic, subtopic, archetype, count }] (taxonomy entries, not keys), least covered first
+export function planCells(articles, taxonomy, seed = "") {
+  const cov = coverage(articles, taxonomy);
+  const cells = [];
+  for (const topic of taxonomy.topics) {
+    const subs = [...(topic.subtopics || [])].sort((a, b) =>
+      (cov.subtopics.get(`${topic.key}/${a.key}`) || 0) - (cov.subtopics.get(`${topic.key}/${b.key}`) || 0)
+      || (tieBreak(seed, b.key) < tieBreak(seed, a.key) ? 1 : -1));
+    for (const archetype of taxonomy.archetypes) {
+      cells.push({
+        topic,
+        subtopic: subs[0] || null,
+        archetype,
+        count: cov.cells.get(`${topic.key}|${archetype.key}`) || 0,
+        topicCount: cov.topics.get(topic.key) || 0,
+        tie: tieBreak(seed, `${topic.key}|${archetype.key}`),
+      });
+    }
+  }
+  return cells
+    .sort((a, b) => a.count - b.count || a.topicCount - b.topicCount || (a.tie < b.tie ? -1 : 1))
+    .map(({ topic, subtopic, archetype, count }) => ({ topic, subtopic, archetype, count }));
+}
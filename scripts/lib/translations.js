@@ -0,0 +1,219 @@
+/**
+ * translations.js — translated variants of published articles.
+ *
+ * A site opts in with `languages` in its config (see lib/engine.js):
+ *
+ *   disclaimer: "This is general information, not individualized advice.",
+ *   languages: {
+ *     es: { disclaimer: "Esta es información general, no asesoramiento individualizado." },
+ *     fr: { disclaimer: "…", labels: { related: "…" } },   // labels: optional UI overrides
+ *   },
+ *
+ * Each language has its own data file, docs/<site>/data/articles.<lang>.json,
+ * newest first like articles.json:
+ *
+ *   { id, lang, title, excerpt, tag, tags, body, translated, source_hash }
+ *
+ * `id` is the English article's; `source_hash` fingerprints the English text the
+ * translation was made from, so edits to the original show up as stale
+ * (npm run translate -- <site> --stale). The site disclaimer is swapped for a
+ * token before translation and for the configured localized line after it, so
+ * the wording stays exact.
+ *
+ * New articles are translated only when TRANSLATE_LANGUAGES asks for it; a site
+ * in review mode (PUBLISH_MODE=review) queues each translation as a draft of its
+ * own (<id>.<lang>, lib/drafts.js) to be approved and published like an article.
+ *
+ * Env:
+ *  - TRANSLATE_LANGUAGES: "all" of the site's languages or a comma-separated
+ *    subset, for new articles (default: off, none are translated)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readJSONSafe, writeJSON } from "./util.js";
+
+export const DEFAULT_LANG = "en";
+export const LANG_RE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/i;
+export const DISCLAIMER_TOKEN = "{{disclaimer}}";
+
+const FILE_RE = /^articles\.([a-z]{2,3}(?:-[a-z0-9]{2,8})?)\.json$/i;
+
+// UI strings on pre-rendered pages; a site's languages[lang].labels override them
+const LABELS = {
+  en: { by: "By", related: "Related reading", previous: "← Previous", next: "Next →", languages: "Read in", facets: "More like this" },
+  es: { by: "Por", related: "Lecturas relacionadas", previous: "← Anterior", next: "Siguiente →", languages: "Leer en", facets: "Más como este" },
+  fr: { by: "Par", related: "À lire aussi", previous: "← Précédent", next: "Suivant →", languages: "Lire en", facets: "Dans le même esprit" },
+  de: { by: "Von", related: "Weiterlesen", previous: "← Zurück", next: "Weiter →", languages: "Lesen auf", facets: "Mehr davon" },
+  it: { by: "Di", related: "Letture correlate", previous: "← Precedente", next: "Successivo →", languages: "Leggi in", facets: "Altri simili" },
+  pt: { by: "Por", related: "Leituras relacionadas", previous: "← Anterior", next: "Próximo →", languages: "Ler em", facets: "Mais como este" },
+};
+
+// ---------- languages ----------
+
+// Languages new articles are translated into: none unless TRANSLATE_LANGUAGES names them
+export function translationLanguages(site) {
+  const configured = Object.keys(site.languages || {});
+  const env = (process.env.TRANSLATE_LANGUAGES || "").trim().toLowerCase();
+  if (!env || env === "off" || env === "none") return [];
+  if (env === "all") return configured;
+  const wanted = env.split(",").map(l => l.trim()).filter(Boolean);
+  const unknown = wanted.filter(l => !configured.includes(l));
+  if (unknown.length) throw new Error(`TRANSLATE_LANGUAGES: ${site.name} has no ${unknown.join(", ")} (configured: ${configured.join(", ") || "none"}).`);
+  return wanted;
+}
+
+// "es" → "español" (in its own language unless `inLang` is given)
+export function languageName(lang, inLang = lang) {
+  try {
+    return new Intl.DisplayNames([inLang], { type: "language" }).of(lang) || lang;
+  } catch {
+    return lang;
+  }
+}
+
+export function labelsFor(site, lang) {
+  const base = lang.split("-")[0];
+  return { ...LABELS.en, ...LABELS[base], ...site.languages?.[lang]?.labels };
+}
+
+// Date locale for pre-rendered pages (English pages have always used en-US)
+export function dateLocale(lang) {
+  return lang === DEFAULT_LANG ? "en-US" : lang;
+}
+
+// ---------- build ----------
+
+// `translations` below is the build's lang → Map(id → translated article) (lib/build/index.js)
+
+// Languages an article reads in, English first
+export function articleLanguages(id, translations) {
+  return [DEFAULT_LANG, ...[...translations].filter(([, byId]) => byId.has(id)).map(([lang]) => lang)];
+}
+
+// Codes → [{ code, name }] for the language switchers ("Español", "Français")
+export function languageList(codes) {
+  return codes.map(code => {
+    const name = languageName(code);
+    return { code, name: name.charAt(0).toLocaleUpperCase(code) + name.slice(1) };
+  });
+}
+
+// The newest-first list a `lang` reader sees: translated where possible, English otherwise
+export function localize(articles, translations, lang) {
+  const byId = translations.get(lang);
+  return byId ? articles.map(a => byId.get(a.id) || a) : articles;
+}
+
+// ---------- data files ----------
+
+export function translationsPath(paths, lang) {
+  if (!LANG_RE.test(lang)) throw new Error(`"${lang}" is not a language code.`);
+  return path.join(paths.dataDir, `articles.${lang}.json`);
+}
+
+// Languages with a data file, whatever the config says now (the build serves them all)
+export function translatedLanguages(paths) {
+  if (!fs.existsSync(paths.dataDir)) return [];
+  return fs.readdirSync(paths.dataDir)
+    .map(f => f.match(FILE_RE)?.[1])
+    .filter(lang => lang && lang !== DEFAULT_LANG)
+    .sort();
+}
+
+export function readTranslations(paths, lang) {
+  const list = readJSONSafe(translationsPath(paths, lang), []);
+  if (!Array.isArray(list)) throw new Error(`${translationsPath(paths, lang)} is not an array.`);
+  return list;
+}
+
+// Replaces (or adds) one translation; synchronous, so concurrent batch items can't interleave
+export function saveTranslation(paths, translation, articles) {
+  const order = new Map(articles.map((a, i) => [a.id, i]));
+  const list = readTranslations(paths, translation.lang).filter(t => t.id !== translation.id);
+  list.push(translation);
+  list.sort((a, b) => (order.get(a.id) ?? Infinity) - (order.get(b.id) ?? Infinity));
+  writeJSON(translationsPath(paths, translation.lang), list);
+}
+
+// Drops the translations of deleted articles from every language file → number removed
+export function removeTranslations(paths, ids) {
+  const gone = new Set(ids);
+  let removed = 0;
+  for (const lang of translatedLanguages(paths)) {
+    const list = readTranslations(paths, lang);
+    const kept = list.filter(t => !gone.has(t.id));
+    if (kept.length === list.length) continue;
+    removed += list.length - kept.length;
+    writeJSON(translationsPath(paths, lang), kept);
+  }
+  return removed;
+}
+
+// ---------- translating ----------
+
+export function sourceHash(record) {
+  const text = JSON.stringify([record.title, record.excerpt, record.tag, record.tags || [], record.body]);
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+export function isStale(translation, record) {
+  return translation.source_hash !== sourceHash(record);
+}
+
+function localizedDisclaimer(site, lang) {
+  return site.disclaimer && site.languages?.[lang]?.disclaimer;
+}
+
+export function translationPrompt(site, record, lang) {
+  const name = languageName(lang, DEFAULT_LANG);
+  const swap = localizedDisclaimer(site, lang);
+  const body = swap ? record.body.split(site.disclaimer).join(DISCLAIMER_TOKEN) : record.body;
+  const source = { title: record.title, excerpt: record.excerpt, primary_tag: record.tag, tags: record.tags || [], body_html: body };
+
+  return `
+Translate this article from English into ${name} (${lang}).
+
+Guidelines:
+- Natural, fluent ${name} for native readers; accurate terminology; same tone
+- Same meaning and scope: add nothing, drop nothing. The audience and setting stay the same (an article about the U.S. stays about the U.S.)
+- Keep every HTML tag and attribute as is; translate only the text between tags
+- Translate each tag; "primary_tag" is the translation of the English primary tag
+${swap ? `- Keep the token ${DISCLAIMER_TOKEN} exactly as it is\n` : ""}
+Output:
+Return ONLY valid JSON (no markdown) with keys:
+{
+  "title": "…",
+  "excerpt": "…",
+  "primary_tag": "…",
+  "tags": ["…"],
+  "body_html": "<p>…</p>"
+}
+
+Article:
+${JSON.stringify(source, null, 2)}
+`.trim();
+}
+
+// LLM payload → stored translation, with the localized disclaimer in place of the token
+export function toTranslation(site, record, lang, raw, today) {
+  const disclaimer = localizedDisclaimer(site, lang);
+  let body = String(raw.body_html || "");
+  if (disclaimer) {
+    body = body.includes(DISCLAIMER_TOKEN)
+      ? body.split(DISCLAIMER_TOKEN).join(disclaimer)
+      : record.body.includes(site.disclaimer) ? `${body}\n<p>${disclaimer}</p>` : body;
+  }
+  return {
+    id: record.id,
+    lang,
+    title: String(raw.title || "").trim(),
+    excerpt: String(raw.excerpt || "").trim(),
+    tag: String(raw.primary_tag || raw.tags?.[0] || record.tag).trim(),
+    tags: (raw.tags || []).map(t => String(t).trim()).filter(Boolean),
+    body,
+    translated: today,
+    source_hash: sourceHash(record),
+  };
+}
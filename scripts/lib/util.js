@@ -0,0 +1,103 @@
+/**
+ * util.js — small helpers shared by every site generator.
+ *
+ * No external deps; everything here is plain Node (fs, path, fetch).
+ */
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+export const ROOT_DIR = process.cwd();
+export const DOCS_DIR = path.join(ROOT_DIR, "docs");
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+}
+
+// YYYY-MM-DD that is a day on the calendar (Date.parse takes 2026-02-30 and rolls it over)
+export function isCalendarDate(value) {
+  const d = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+export function slugify(str) {
+  return String(str || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+}
+
+export function clamp(s, n) {
+  s = String(s || "").trim();
+  return s.length > n ? s.slice(0, n - 1) + "…" : s;
+}
+
+export function htmlEsc(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&[a-z#0-9]+;/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function stripFences(s) {
+  return String(s || "").replace(/^```(?:json)?\s*|\s*```$/g, "");
+}
+
+// Missing or empty file → fallback; a file that doesn't parse throws, so it is never overwritten as if empty
+export function readJSONSafe(file, fallback) {
+  let txt;
+  try {
+    txt = fs.readFileSync(file, "utf8").trim();
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+  if (!txt) return fallback;
+  try {
+    return JSON.parse(txt);
+  } catch (e) {
+    throw new Error(`Failed to parse ${file}: ${e.message}`);
+  }
+}
+
+export function writeJSON(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2) + "\n", "utf8");
+}
+
+export async function ensureDir(p) {
+  await fsp.mkdir(p, { recursive: true });
+}
+
+export function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+export async function downloadToFile(url, filepath, { retries = 2 } = {}) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const buf = Buffer.from(await res.arrayBuffer());
+      await ensureDir(path.dirname(filepath));
+      await fsp.writeFile(filepath, buf);
+      return true;
+    } catch (err) {
+      if (attempt === retries) throw err;
+      await sleep(400 * (attempt + 1));
+    }
+  }
+}
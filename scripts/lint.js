@@ -0,0 +1,72 @@
+/**
+ * lint.js — audits published articles against each site's editorial policy
+ * rule pack (site.lint, see lib/lint.js). Nothing is changed.
+ *
+ * Run: npm run lint [-- <site> …] [--rule <id>] [--errors] [--json] [--strict]
+ *
+ *   --rule <id>   only this rule (repeatable)
+ *   --errors      hide warnings
+ *   --json        one JSON object per finding: { site, id, rule, severity, message, excerpt }
+ *   --strict      exit with status 1 when any error is found (for CI)
+ */
+
+import { parseArgs } from "util";
+import { listSites, loadSite } from "./sites/index.js";
+import { sitePaths, readArticles } from "./lib/engine.js";
+import { lintRecord } from "./lib/lint.js";
+
+const { values: opts, positionals: names } = parseArgs({
+  allowPositionals: true,
+  options: {
+    rule: { type: "string", multiple: true },
+    errors: { type: "boolean" },
+    json: { type: "boolean" },
+    strict: { type: "boolean" },
+  },
+});
+
+function audit(site) {
+  const counts = new Map(site.lint.map(r => [r.id, { severity: r.severity, findings: 0, articles: 0 }]));
+  const articles = readArticles(sitePaths(site));
+  let flagged = 0;
+
+  for (const a of articles) {
+    const findings = lintRecord(site, a)
+      .filter(f => !opts.rule || opts.rule.includes(f.rule))
+      .filter(f => !opts.errors || f.severity === "error");
+    if (!findings.length) continue;
+    flagged++;
+
+    for (const rule of new Set(findings.map(f => f.rule))) counts.get(rule).articles++;
+    findings.forEach(f => counts.get(f.rule).findings++);
+
+    if (opts.json) {
+      findings.forEach(f => console.log(JSON.stringify({ site: site.name, id: a.id, ...f })));
+    } else {
+      console.log(`\n${site.name}/${a.id}  (${a.date})`);
+      findings.forEach(f => console.log(`  ${f.severity === "error" ? "✖" : "⚠"} [${f.rule}] ${f.message}${f.excerpt ? `\n      ${f.excerpt}` : ""}`));
+    }
+  }
+
+  if (!opts.json) {
+    console.log(`\n${site.name}: ${flagged} of ${articles.length} articles flagged`);
+    for (const [rule, c] of counts) {
+      if (opts.rule && !opts.rule.includes(rule)) continue;
+      console.log(`  ${rule.padEnd(16)} ${c.severity.padEnd(5)}  ${String(c.articles).padStart(4)} articles  ${String(c.findings).padStart(5)} findings`);
+    }
+  }
+  return [...counts.values()].some(c => c.severity === "error" && c.findings > 0);
+}
+
+async function run() {
+  const sites = (await Promise.all((names.length ? names : listSites()).map(loadSite))).filter(s => s.lint?.length);
+  if (!sites.length) throw new Error("No selected site has a lint rule pack.");
+  let failed = false;
+  for (const site of sites) failed = audit(site) || failed;
+  if (failed && opts.strict) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error("❌ Lint failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,259 @@
+/**
+ * markdown.js — articles as Markdown files with front matter, for editing in a
+ * plain text editor.
+ *
+ * Run: npm run markdown -- <command> <site> …
+ *
+ *   export <site> [--out <dir>]                 one <date>-<id>.md per article
+ *                                               (default: markdown/<site>/)
+ *   import <site> <file|dir>… [--update] [--dry-run]
+ *                                               new articles are added; one whose id
+ *                                               (or slugified title) is already published
+ *                                               is left alone unless --update is given
+ *
+ * Front matter keys: id, title, date, updated, author, tag, tags, excerpt, image,
+ * topic, archetype. Only title is required for a new article: id comes from the
+ * title, date is today, tag is the first of tags, the excerpt is the start of the
+ * body. The older hand-written format (slug, image_url, a "# Title" first line,
+ * e.g. docs/plants/data/2025-10-20-peppermint.md) imports as well.
+ *
+ * Updating keeps what the file can't express (related, image_meta, structured
+ * data like `plant`) and stamps `updated` when the title, excerpt or body changed.
+ * Every record is sanitized and validated like a generated one; one bad file
+ * fails the run before anything is written.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { loadSite } from "./sites/index.js";
+import { createContext, writeArticles, prepareRecord, checkPolicy, byDateDesc, localImagePath } from "./lib/engine.js";
+import { optimizeImage, EXTENSIONS } from "./lib/images/optimize.js";
+import { refreshRelated } from "./lib/related.js";
+import { parseFrontMatter, stringifyFrontMatter, markdownToHTML, htmlToMarkdown } from "./lib/markdown.js";
+import { ROOT_DIR, clamp, htmlToText, slugify } from "./lib/util.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: "string" },
+    update: { type: "boolean" },
+    "dry-run": { type: "boolean" },
+  },
+});
+const [command, siteName, ...args] = positionals;
+
+// record field ← front matter key, in the order export writes them
+const FIELDS = ["id", "title", "date", "updated", "author", "tag", "tags", "excerpt", "image", "topic", "archetype"];
+const LEGACY = { slug: "id", image_url: "image" };
+const CONTENT_FIELDS = ["title", "excerpt", "body"];
+const IMAGE_URL_RE = new RegExp(`\\.(?:${[...new Set([...Object.values(EXTENSIONS), "jpeg"])].join("|")})(?:[?#].*)?$`, "i");
+
+function usage(line) {
+  return new Error(`Usage: npm run markdown -- ${line}`);
+}
+
+// ---------- export ----------
+
+function articleToMarkdown(record) {
+  const data = Object.fromEntries(FIELDS.map(k => [k, record[k]]));
+  return stringifyFrontMatter(data, htmlToMarkdown(record.body));
+}
+
+function exportSite(ctx) {
+  const outDir = path.resolve(opts.out || path.join(ROOT_DIR, "markdown", ctx.site.name));
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const a of ctx.articles) fs.writeFileSync(path.join(outDir, `${a.date}-${a.id}.md`), articleToMarkdown(a), "utf8");
+  console.log(`✅ Exported ${ctx.articles.length} ${ctx.site.name} articles to ${path.relative(process.cwd(), outDir) || "."}`);
+}
+
+// ---------- import ----------
+
+function markdownFiles(inputs) {
+  return inputs.flatMap(p => {
+    if (!fs.existsSync(p)) throw new Error(`${p}: no such file or directory.`);
+    if (!fs.statSync(p).isDirectory()) return [p];
+    return fs.readdirSync(p).filter(f => /\.md$/i.test(f)).sort().map(f => path.join(p, f));
+  });
+}
+
+// Front matter + body → the record fields the file sets, plus notes for the editor
+function readMarkdown(file) {
+  const { data, body } = parseFrontMatter(fs.readFileSync(file, "utf8"));
+  const notes = [];
+  const fields = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    const field = LEGACY[key] || key;
+    if (!FIELDS.includes(field)) {
+      notes.push(`ignored front matter "${key}"`);
+      continue;
+    }
+    if (value === "" || fields[field] != null) continue;
+    fields[field] = field === "tags" ? (Array.isArray(value) ? value : value.split(",")).map(t => t.trim()).filter(Boolean) : String(value).trim();
+  }
+  // e.g. a Wikimedia "File:" page, which ends in .jpg but is HTML
+  if (fields.image && isRemote(fields.image) && (!IMAGE_URL_RE.test(fields.image) || /\/wiki\//.test(fields.image))) {
+    notes.push(`ignored image "${fields.image}" (not an image file)`);
+    delete fields.image;
+  }
+
+  // a leading "# Title" repeats the title: the page renders it from front matter
+  let md = body;
+  const h1 = md.match(/^\s*# +(.+?)[ \t]*(?:\n|$)/);
+  if (h1) {
+    md = md.slice(h1[0].length);
+    fields.title = fields.title || h1[1].replace(/\s+#+$/, "");
+  }
+  if (!fields.title) throw new Error(`no title (front matter "title" or a "# Title" first line).`);
+  fields.id = slugify(fields.id || fields.title);
+  if (md.trim()) fields.body = markdownToHTML(md);
+  return { fields, notes };
+}
+
+function isRemote(url) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// Same text as Markdown → same body, so whitespace from the round trip isn't an edit
+function sameBody(a, b) {
+  return htmlToMarkdown(a) === htmlToMarkdown(b);
+}
+
+async function withImageMeta(ctx, record, previous) {
+  if (previous && record.image === previous.image) return record;
+  const next = { ...record };
+  delete next.image_meta;
+  const file = localImagePath(ctx, record.image);
+  if (!file) return next;
+  if (!fs.existsSync(file)) throw new Error(`image ${record.image} not found in ${path.relative(process.cwd(), ctx.imagesDir)}.`);
+  if (opts["dry-run"]) return next;
+  const { meta } = await optimizeImage(ctx, path.relative(ctx.imagesDir, file));
+  return { ...next, image_meta: meta };
+}
+
+// Plain text of the first paragraph, for a missing excerpt
+function leadText(html) {
+  const first = html.match(/<p>([\s\S]*?)<\/p>/)?.[1] || html;
+  return clamp(htmlToText(first.replace(/<\/?(?:em|strong|b|i|small|code|a)\b[^>]*>/g, "")), 300);
+}
+
+function newRecord(ctx, fields) {
+  const body = fields.body || "";
+  return {
+    id: fields.id,
+    title: fields.title,
+    excerpt: fields.excerpt || leadText(body),
+    author: fields.author || "Staff Writer",
+    date: fields.date || ctx.today,
+    ...(fields.updated ? { updated: fields.updated } : {}),
+    image: fields.image,
+    tag: fields.tag || fields.tags?.[0],
+    tags: fields.tags || (fields.tag ? [fields.tag] : []),
+    ...(fields.topic ? { topic: fields.topic } : {}),
+    ...(fields.archetype ? { archetype: fields.archetype } : {}),
+    body,
+  };
+}
+
+function mergedRecord(ctx, existing, fields) {
+  const next = { ...existing, ...fields, id: existing.id };
+  if (fields.body && sameBody(fields.body, existing.body)) next.body = existing.body;
+  const changed = Object.keys(next).filter(k => JSON.stringify(next[k]) !== JSON.stringify(existing[k]));
+  if (!fields.updated && changed.some(k => CONTENT_FIELDS.includes(k))) next.updated = ctx.today;
+  return { next, changed };
+}
+
+// What importing one file would do: { action: "add" | "update" | "skip" | "same", record, changed }
+async function planFile(ctx, site, file, plan) {
+  const { fields, notes } = readMarkdown(file);
+  const name = path.relative(process.cwd(), file);
+  if (plan.seen.has(fields.id)) throw new Error(`same article as ${plan.seen.get(fields.id)} (id "${fields.id}").`);
+  plan.seen.set(fields.id, name);
+  notes.forEach(n => console.warn(`⚠️  ${name}: ${n}`));
+
+  const existing = ctx.articles.find(a => a.id === fields.id) || plan.byTitle.get(slugify(fields.title));
+  if (!existing) {
+    const record = await withImageMeta(ctx, prepareRecord(ctx, newRecord(ctx, fields)));
+    checkPolicy(site, record);
+    return { action: "add", record };
+  }
+
+  const { next, changed } = mergedRecord(ctx, existing, fields);
+  if (!changed.length) return { action: "same", record: existing };
+  if (!opts.update) return { action: "skip", record: existing, changed };
+  const record = await withImageMeta(ctx, prepareRecord(ctx, next), existing);
+  checkPolicy(site, record);
+  if (changed.includes("body") && site.renderBody?.(existing) != null) {
+    console.warn(`⚠️  ${record.id}: body edited by hand; \`npm run rerender\` would rebuild it from the stored structured data`);
+  }
+  return { action: "update", record, changed };
+}
+
+async function importSite(ctx, site) {
+  if (!args.length) throw usage("import <site> <file|dir>… [--update] [--dry-run]");
+  const files = markdownFiles(args);
+  if (!files.length) throw new Error("No .md files to import.");
+
+  // every file is read and validated first: a bad one fails the run before any write
+  const plan = { seen: new Map(), byTitle: new Map(ctx.articles.map(a => [slugify(a.title), a])) };
+  const counts = { add: 0, update: 0, skip: 0, same: 0 };
+  const added = [];
+  const updated = new Map();
+  for (const file of files) {
+    const name = path.relative(process.cwd(), file);
+    let step;
+    try {
+      step = await planFile(ctx, site, file, plan);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+    const { action, record, changed } = step;
+    counts[action]++;
+    if (action === "add") {
+      added.push(record);
+      console.log(`  + ${record.id}  ${record.title}`);
+    } else if (action === "update") {
+      updated.set(record.id, record);
+      console.log(`  ~ ${record.id}  ${changed.join(", ")}`);
+    } else if (action === "skip") {
+      console.log(`  ! ${record.id}  already published; ${name} differs in ${changed.join(", ")} (--update replaces it)`);
+    } else {
+      console.log(`  = ${record.id}  unchanged`);
+    }
+  }
+
+  const summary = `${site.name}: ${counts.add} new, ${counts.update} updated, ${counts.skip} skipped, ${counts.same} unchanged`;
+  if (opts["dry-run"] || (!added.length && !updated.size)) {
+    console.log(`${summary}${opts["dry-run"] ? " (dry run, nothing written)" : ""}`);
+    return;
+  }
+
+  ctx.articles = [...added, ...ctx.articles.map(a => updated.get(a.id) || a)].sort(byDateDesc);
+  writeArticles(ctx, ctx.articles);
+  if (site.afterSave) for (const record of added) await site.afterSave(record, null, ctx);
+  try {
+    if (await refreshRelated(ctx)) writeArticles(ctx, ctx.articles);
+  } catch (err) {
+    // the import is saved; stale lists only cost a few links until the next run
+    console.warn(`⚠️  Related articles not refreshed: ${err.message}`);
+  }
+  console.log(summary);
+  console.log("Run `npm run build` to refresh pages, feeds and search.");
+}
+
+// ---------- main ----------
+
+const COMMANDS = { export: exportSite, import: importSite };
+
+async function run() {
+  const fn = COMMANDS[command];
+  if (!fn || !siteName) throw usage("export <site> [--out <dir>] | import <site> <file|dir>… [--update] [--dry-run]");
+  const site = await loadSite(siteName);
+  await fn(createContext(site), site);
+}
+
+run().catch(err => {
+  console.error(`❌ Markdown ${command || "command"} failed:`, err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,48 @@
+/**
+ * migrate-image-urls.js — one-time rewrite of absolute self-hosted image URLs
+ * ("https://lnagy2002.github.io/factshistory/<site>/images/x.jpg") to the
+ * site-relative form new records use ("images/x.jpg"), in articles.json and
+ * the review queue: `image`, `image_meta.variants[].url` and <img src> in bodies.
+ * Remote images (Flickr, Wikimedia…) are left alone.
+ *
+ * Run: node scripts/migrate-image-urls.js [--dry-run]
+ * Then: npm run build
+ */
+
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext, writeArticles } from "./lib/engine.js";
+import { loadDrafts, saveDrafts } from "./lib/drafts.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+function relativize(ctx, record) {
+  const prefix = `${ctx.baseUrl}/images/`;
+  const rel = url => (typeof url === "string" && url.startsWith(prefix) ? `${ctx.imgBaseUrl}/${url.slice(prefix.length)}` : url);
+  const next = { ...record, image: rel(record.image) };
+  if (record.image_meta) next.image_meta = { ...record.image_meta, variants: (record.image_meta.variants || []).map(v => ({ ...v, url: rel(v.url) })) };
+  if (typeof record.body === "string") next.body = record.body.replace(/(<img\b[^>]*?\ssrc=")([^"]*)"/gi, (m, head, url) => `${head}${rel(url)}"`);
+  return JSON.stringify(next) === JSON.stringify(record) ? record : next;
+}
+
+for (const name of listSites()) {
+  const site = await loadSite(name);
+  const ctx = createContext(site);
+  if (/^[a-z]+:/i.test(ctx.imgBaseUrl)) throw new Error(`IMG_BASE_URL is absolute (${ctx.imgBaseUrl}); unset it to migrate to site-relative URLs.`);
+
+  const articles = ctx.articles.map(a => relativize(ctx, a));
+  const changed = articles.filter((a, i) => a !== ctx.articles[i]).length;
+  const drafts = loadDrafts(site);
+  let draftsChanged = 0;
+  for (const item of drafts) {
+    const next = relativize(ctx, item.record);
+    if (next === item.record) continue;
+    item.record = next;
+    draftsChanged++;
+  }
+
+  console.log(`${name}: ${changed} of ${articles.length} articles, ${draftsChanged} drafts rewritten`);
+  if (dryRun) continue;
+  if (changed) writeArticles(ctx, articles);
+  if (draftsChanged) saveDrafts(site, drafts);
+}
+if (dryRun) console.log("--dry-run: nothing written.");
@@ -0,0 +1,88 @@
+/**
+ * migrate-plant-data.js — one-time backfill of the structured `plant` field
+ * for plant articles saved before it existed, parsed back out of the body
+ * HTML that buildHTML() produced (Introduction / Benefits & Uses / Ways to
+ * Prepare / Safety / Sources).
+ *
+ * Model-supplied inline images in old bodies are not carried over; the next
+ * `npm run rerender` drops them from the bodies too.
+ *
+ * Run: node scripts/migrate-plant-data.js [--dry-run]
+ */
+
+import plants, { plantData } from "./sites/plants.js";
+import { sitePaths, readArticles, writeArticles } from "./lib/engine.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+function decode(s) {
+  return String(s).replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&").trim();
+}
+
+function items(html) {
+  return [...String(html || "").matchAll(/<li>([\s\S]*?)<\/li>/g)].map(m => decode(m[1]));
+}
+
+// "<h2>Title</h2>…" → { Title: "…" } (same for h3/h4 within a section)
+function sections(html, tag) {
+  const out = {};
+  const parts = String(html).split(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  for (let i = 1; i < parts.length; i += 2) out[decode(parts[i])] = parts[i + 1];
+  return out;
+}
+
+function recipe(html) {
+  if (/<em>No details\.<\/em>/.test(html)) return undefined;
+  const parts = sections(html, "h4");
+  const obj = {};
+  for (const key of ["Ingredients", "Steps", "Ideas"]) {
+    if (parts[key] !== undefined) obj[key.toLowerCase()] = items(parts[key]);
+  }
+  return obj;
+}
+
+function parseBody(body) {
+  const h2 = sections(body, "h2");
+  const intro = /<p><em>([\s\S]*?)<\/em>(?: \(<em>([\s\S]*?)<\/em>\))? — ([\s\S]*?)<\/p>/.exec(h2.Introduction || "");
+  if (!intro || h2["Benefits & Uses"] === undefined || h2["Ways to Prepare"] === undefined) return null;
+
+  const benefits = {};
+  for (const [name, html] of Object.entries(sections(h2["Benefits & Uses"], "h3"))) benefits[name.toLowerCase()] = items(html);
+
+  const preparations = {};
+  for (const [name, html] of Object.entries(sections(h2["Ways to Prepare"], "h3"))) {
+    const r = recipe(html);
+    if (r) preparations[name.toLowerCase()] = r;
+  }
+
+  return plantData({
+    common_name: decode(intro[1]),
+    scientific_name: decode(intro[2] || ""),
+    short_history: decode(intro[3]),
+    benefits,
+    preparations,
+    safety: items(h2.Safety),
+    sources: h2.Sources !== undefined ? items(h2.Sources) : undefined,
+  });
+}
+
+const ctx = sitePaths(plants);
+const articles = readArticles(ctx);
+let added = 0;
+const failed = [];
+
+const next = articles.map(a => {
+  if (a.plant) return a;
+  const plant = parseBody(a.body);
+  if (!plant) {
+    failed.push(a.id);
+    return a;
+  }
+  added++;
+  return { ...a, plant };
+});
+
+console.log(`${added} of ${articles.length} plant articles backfilled`);
+if (failed.length) console.log(`Could not parse: ${failed.join(", ")}`);
+if (dryRun) console.log("--dry-run: nothing written.");
+else if (added) writeArticles(ctx, next);
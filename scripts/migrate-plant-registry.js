@@ -0,0 +1,73 @@
+/**
+ * migrate-plant-registry.js — one-time rebuild of docs/plants/data/registry.json
+ * from the published articles (see lib/plant-registry.js).
+ *
+ *  - common + scientific names are read from each article's introduction
+ *  - usable keys from the legacy used_plants.json become aliases; junk
+ *    ("1", "plant_001"…) is dropped and the file is removed
+ *  - taxa already published more than once are reported
+ *
+ * Run: node scripts/migrate-plant-registry.js [--dry-run]
+ */
+
+import fs from "fs";
+import path from "path";
+import plants from "./sites/plants.js";
+import { createContext } from "./lib/engine.js";
+import { readJSONSafe } from "./lib/util.js";
+import { emptyRegistry, findTaxon, registerPlant, saveRegistry, registryPath, taxonLabel, normalizeName } from "./lib/plant-registry.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const JUNK_KEY = /^(?:\d+|(?:common_)?plant_\d+)$/;
+
+function decode(s) {
+  return s.replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+// "<p><em>Peppermint</em> (<em>Mentha × piperita</em>) — …" → { common_name, scientific_name }
+function plantOf(article) {
+  const m = /<p><em>(.*?)<\/em>(?: \(<em>(.*?)<\/em>\))? —/.exec(article.body || "");
+  if (!m) return { common_name: article.title.split(":")[0].trim(), scientific_name: "" };
+  return { common_name: decode(m[1]).trim(), scientific_name: decode(m[2] || "").trim() };
+}
+
+const ctx = createContext(plants);
+const usedPath = path.join(ctx.dataDir, "used_plants.json");
+const reg = emptyRegistry();
+
+for (const article of [...ctx.articles].reverse()) registerPlant(reg, plantOf(article), article.id);
+
+const legacy = readJSONSafe(usedPath, []);
+const dropped = [];
+for (const key of legacy) {
+  if (JUNK_KEY.test(key)) continue;
+  const [common, scientific] = String(key).split("|").map(s => s.trim().replace(/_/g, " "));
+  // bare keys are sometimes scientific names ("hibiscus_sabdariffa")
+  const entry = findTaxon(reg, { common_name: common, scientific_name: scientific ?? common });
+  if (!entry) {
+    dropped.push(key);
+    continue;
+  }
+  if (normalizeName(common) !== normalizeName(entry.key)) {
+    registerPlant(reg, { scientific_name: entry.scientific_name, common_name: entry.common_names[0], aliases: [common] });
+  }
+}
+
+const duplicates = reg.taxa.filter(t => t.articles.length > 1).sort((a, b) => b.articles.length - a.articles.length);
+console.log(`${ctx.articles.length} articles → ${reg.taxa.length} taxa`);
+if (duplicates.length) {
+  console.log(`\n⚠️  ${duplicates.length} taxa published more than once:`);
+  for (const t of duplicates) {
+    const ids = t.articles.length > 4 ? [...t.articles.slice(0, 3), `… +${t.articles.length - 3} more`] : t.articles;
+    console.log(`  - ${taxonLabel(t)} × ${t.articles.length}: ${ids.join(", ")}`);
+  }
+}
+if (dropped.length) console.log(`\nLegacy keys with no matching article (dropped): ${dropped.join(", ")}`);
+
+if (dryRun) {
+  console.log("\n--dry-run: nothing written.");
+} else {
+  saveRegistry(ctx, reg);
+  fs.rmSync(usedPath, { force: true });
+  console.log(`\nWrote ${registryPath(ctx)}; removed ${usedPath}`);
+}
@@ -0,0 +1,138 @@
+/**
+ * new-site.js — scaffolds a new vertical, ready for its first run.
+ *
+ * Run: npm run new-site -- --name travel --title "Daily Travel Tips"
+ *        [--description "…"] [--topic "travel planning"] [--cron "30 2 * * *"]
+ *
+ * Creates (refusing to overwrite anything):
+ *  - docs/<name>/                     from docs/template ({{title}}, {{initials}},
+ *                                     {{description}} filled in), empty data/articles.json
+ *  - scripts/sites/<name>.js          site config with a starter prompt (templates/site.js)
+ *  - scripts/generate-<name>.js       entry point (templates/generate.js)
+ *  - scripts/fixtures/llm/<name>.json one mock payload, for offline runs (LLM_PROVIDER=mock)
+ *  - .github/workflows/daily-<name>.yml  schedule + manual batch runs (templates/workflow.yml)
+ *  - an npm script: npm run <name>
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { listSites } from "./sites/index.js";
+import { ROOT_DIR, DOCS_DIR, htmlEsc, writeJSON } from "./lib/util.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    name: { type: "string" },
+    title: { type: "string" },
+    description: { type: "string" },
+    topic: { type: "string" },
+    cron: { type: "string", default: "30 2 * * *" },
+  },
+});
+
+const TEMPLATES_DIR = path.join(ROOT_DIR, "scripts", "templates");
+const TEMPLATE_SITE = path.join(DOCS_DIR, "template");
+const NAME_RE = /^[a-z][a-z0-9-]{1,30}$/;
+const RESERVED = new Set(["template", "index", "data", "images", "articles"]);
+
+// ---------- arguments ----------
+
+function readOptions() {
+  const name = (opts.name || "").trim();
+  const title = (opts.title || "").trim();
+  if (!name || !title) throw new Error('Usage: npm run new-site -- --name <name> --title "<Site title>" [--description "…"] [--topic "…"] [--cron "m h dom mon dow"]');
+  if (!NAME_RE.test(name)) throw new Error(`--name must be a lowercase slug (letters, digits, dashes), got "${name}".`);
+  if (RESERVED.has(name)) throw new Error(`"${name}" is reserved.`);
+
+  const pkg = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "package.json"), "utf8"));
+  if (listSites().includes(name) || pkg.scripts?.[name]) throw new Error(`"${name}" is already a site or an npm script.`);
+
+  const cron = opts.cron.trim();
+  if (cron.split(/\s+/).length !== 5) throw new Error(`--cron must have 5 fields (minute hour day month weekday), got "${cron}".`);
+
+  const topic = (opts.topic || title.replace(/^daily\s+/i, "").toLowerCase()).trim();
+  return {
+    name,
+    title,
+    topic,
+    cron,
+    description: (opts.description || `Practical, everyday articles about ${topic}.`).trim(),
+    initials: title.split(/\s+/).filter(w => /^[A-Za-z0-9]/.test(w)).map(w => w[0].toUpperCase()).join("").slice(0, 2) || "•",
+  };
+}
+
+// ---------- templates ----------
+
+// {{key}} → value, escaped for the file it lands in; other {{…}} (e.g. {{date}}) stay
+function fill(text, values, escape) {
+  return text.replace(/\{\{(\w+)\}\}/g, (m, key) => (key in values ? escape(String(values[key])) : m));
+}
+
+const jsonString = s => JSON.stringify(s).slice(1, -1);
+
+function escaperFor(file) {
+  if (/\.html?$/.test(file)) return htmlEsc;
+  if (/\.(?:js|json|ya?ml)$/.test(file)) return jsonString; // values sit inside double quotes
+  return s => s;
+}
+
+function plannedFiles(v) {
+  const files = [];
+  const walk = (dir, rel = "") => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const from = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(from, path.join(rel, entry.name));
+      else files.push({ from, to: path.join(DOCS_DIR, v.name, rel, entry.name) });
+    }
+  };
+  walk(TEMPLATE_SITE);
+  files.push(
+    { from: path.join(TEMPLATES_DIR, "site.js"), to: path.join(ROOT_DIR, "scripts", "sites", `${v.name}.js`) },
+    { from: path.join(TEMPLATES_DIR, "generate.js"), to: path.join(ROOT_DIR, "scripts", `generate-${v.name}.js`) },
+    { from: path.join(TEMPLATES_DIR, "fixture.json"), to: path.join(ROOT_DIR, "scripts", "fixtures", "llm", `${v.name}.json`) },
+    { from: path.join(TEMPLATES_DIR, "workflow.yml"), to: path.join(ROOT_DIR, ".github", "workflows", `daily-${v.name}.yml`) },
+  );
+  return files;
+}
+
+// npm run <name>, next to the other generators
+function addScript(name) {
+  const file = path.join(ROOT_DIR, "package.json");
+  const pkg = JSON.parse(fs.readFileSync(file, "utf8"));
+  const entries = Object.entries(pkg.scripts || {});
+  const lastGenerator = entries.map(([, cmd]) => cmd).findLastIndex(cmd => /scripts\/generate-/.test(cmd));
+  entries.splice(lastGenerator + 1, 0, [name, `node scripts/generate-${name}.js`]);
+  writeJSON(file, { ...pkg, scripts: Object.fromEntries(entries) });
+}
+
+// ---------- main ----------
+
+function run() {
+  const v = readOptions();
+  const files = plannedFiles(v);
+  const siteDir = path.join(DOCS_DIR, v.name);
+  const existing = [siteDir, ...files.map(f => f.to)].filter(f => fs.existsSync(f));
+  if (existing.length) throw new Error(`Refusing to overwrite: ${existing.map(f => path.relative(ROOT_DIR, f)).join(", ")}`);
+
+  for (const { from, to } of files) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.writeFileSync(to, fill(fs.readFileSync(from, "utf8"), v, escaperFor(from)), "utf8");
+  }
+  writeJSON(path.join(siteDir, "data", "articles.json"), []);
+  fs.mkdirSync(path.join(siteDir, "images"), { recursive: true });
+  addScript(v.name);
+
+  files.forEach(f => console.log(`  + ${path.relative(ROOT_DIR, f.to)}`));
+  console.log(`  + docs/${v.name}/data/articles.json\n  ~ package.json ("${v.name}" script)`);
+  console.log(`\n✅ Created "${v.title}" (${v.name}). Next:
+  1. tune the prompt in scripts/sites/${v.name}.js
+  2. LLM_PROVIDER=mock IMAGE_PROVIDER=placeholder npm run ${v.name}   (offline dry run), then npm run serve
+  3. commit; .github/workflows/daily-${v.name}.yml runs "${v.cron}" (UTC)`);
+}
+
+try {
+  run();
+} catch (err) {
+  console.error("❌ new-site failed:", err.message);
+  process.exitCode = 1;
+}
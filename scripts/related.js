@@ -0,0 +1,33 @@
+/**
+ * related.js — recomputes every article's `related` list (see lib/related.js)
+ * without generating anything; publishing does this automatically.
+ *
+ * Run: npm run related [-- <site> …] [-- --dry-run]   (default: every site in scripts/sites)
+ * Then: npm run build
+ *
+ * Env: EMBEDDINGS_PROVIDER and friends, see lib/embeddings/index.js
+ */
+
+import { listSites, loadSite } from "./sites/index.js";
+import { createContext, writeArticles } from "./lib/engine.js";
+import { refreshRelated } from "./lib/related.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const names = args.filter(a => !a.startsWith("--"));
+
+async function run() {
+  for (const name of names.length ? names : listSites()) {
+    const ctx = createContext(await loadSite(name));
+    const changed = await refreshRelated(ctx);
+    const empty = ctx.articles.filter(a => !a.related?.length).length;
+    console.log(`${name}: ${changed} of ${ctx.articles.length} related lists changed (${empty} without related articles)`);
+    if (changed && !dryRun) writeArticles(ctx, ctx.articles);
+  }
+  if (dryRun) console.log("--dry-run: nothing written.");
+}
+
+run().catch(err => {
+  console.error("❌ Related refresh failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,50 @@
+/**
+ * rerender.js — rebuilds every article body from its stored structured fields
+ * via the site's renderBody() hook (e.g. after changing buildHTML in
+ * sites/plants.js). Records without structured data are left alone.
+ *
+ * Run: npm run rerender [-- <site> …] [-- --dry-run]   (default: every site with renderBody)
+ * Then: npm run build
+ */
+
+import { listSites, loadSite } from "./sites/index.js";
+import { sitePaths, readArticles, writeArticles, prepareRecord } from "./lib/engine.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const names = args.filter(a => !a.startsWith("--"));
+
+async function rerender(site) {
+  const ctx = sitePaths(site);
+  let changed = 0;
+  let skipped = 0;
+
+  const articles = readArticles(ctx).map(a => {
+    const body = site.renderBody(a);
+    if (body == null) {
+      skipped++;
+      return a;
+    }
+    if (body === a.body) return a;
+    const next = prepareRecord(ctx, { ...a, body });
+    if (next.body === a.body) return a;
+    changed++;
+    return next;
+  });
+
+  console.log(`${site.name}: ${changed} bodies re-rendered, ${articles.length - changed - skipped} unchanged, ${skipped} without structured data`);
+  if (changed && !dryRun) writeArticles(ctx, articles);
+}
+
+async function run() {
+  const sites = await Promise.all((names.length ? names : listSites()).map(loadSite));
+  const renderable = sites.filter(s => s.renderBody);
+  if (!renderable.length) throw new Error("No selected site has a renderBody() hook.");
+  for (const site of renderable) await rerender(site);
+  if (dryRun) console.log("--dry-run: nothing written.");
+}
+
+run().catch(err => {
+  console.error("❌ Re-render failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+/**
+ * runs.js — summary of the generation run log (logs/<site>.jsonl, see lib/runlog.js).
+ *
+ * Run: npm run runs [-- <site> …] [--days <n> | --since YYYY-MM-DD] [--failures] [--json]
+ *
+ *   (default)     per site: runs by status, articles, attempts and rejection
+ *                 reasons, image providers, token usage, the latest failure
+ *   --days / --since   only runs started in that window (default: the whole log)
+ *   --failures    also list every failed run and batch item
+ *   --json        one JSON object per site instead of the text summary
+ */
+
+import { parseArgs } from "util";
+import { listSites } from "./sites/index.js";
+import { readRunLog, runLogPath } from "./lib/runlog.js";
+import { clamp } from "./lib/util.js";
+
+const { values: opts, positionals: names } = parseArgs({
+  allowPositionals: true,
+  options: {
+    days: { type: "string" },
+    since: { type: "string" },
+    failures: { type: "boolean" },
+    json: { type: "boolean" },
+  },
+});
+
+// ---------- window ----------
+
+function sinceDate() {
+  if (opts.days && opts.since) throw new Error("Use either --days or --since.");
+  if (opts.since) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(opts.since)) throw new Error(`--since must be YYYY-MM-DD, got "${opts.since}".`);
+    return opts.since;
+  }
+  if (!opts.days) return null;
+  const days = Number(opts.days);
+  if (!Number.isInteger(days) || days < 1) throw new Error(`--days must be a positive whole number, got "${opts.days}".`);
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+// ---------- summary ----------
+
+// "too close to “Title” (similarity 0.91 ≥ 0.5)" → "too close to"
+function reasonKind(reason) {
+  return String(reason).replace(/“[^”]*”|"[^"]*"|\([^)]*\)/g, "").replace(/\s+/g, " ").trim() || "other";
+}
+
+function countBy(list) {
+  const counts = new Map();
+  for (const item of list) counts.set(item, (counts.get(item) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function summarize(site, runs) {
+  const articles = runs.flatMap(r => r.articles || []);
+  const attempts = articles.map(a => a.attempts).filter(Number.isFinite);
+  const failures = runs.flatMap(r => (r.failures || []).map(f => ({ started: r.started, ...f })));
+  const tokens = runs.reduce((n, r) => n + (r.usage?.total_tokens || 0), 0);
+  return {
+    site,
+    runs: runs.length,
+    first: runs[0]?.started || null,
+    last: runs.at(-1) ? { started: runs.at(-1).started, status: runs.at(-1).status } : null,
+    status: Object.fromEntries(countBy(runs.map(r => r.status))),
+    articles: Object.fromEntries(countBy(articles.map(a => a.status))),
+    attempts: {
+      mean: attempts.length ? Number((attempts.reduce((a, b) => a + b, 0) / attempts.length).toFixed(2)) : null,
+      max: attempts.length ? Math.max(...attempts) : null,
+    },
+    rejections: Object.fromEntries(countBy(articles.flatMap(a => a.rejections || []).map(reasonKind))),
+    images: Object.fromEntries(countBy(articles.map(a => a.image_provider || "unknown"))),
+    imageFallbacks: articles.filter(a => a.image_fallback).length,
+    models: Object.fromEntries(countBy(runs.map(r => r.model).filter(Boolean))),
+    usage: {
+      calls: runs.reduce((n, r) => n + (r.usage?.calls || 0), 0),
+      total_tokens: tokens,
+      per_article: articles.length ? Math.round(tokens / articles.length) : null,
+    },
+    failures,
+  };
+}
+
+// ---------- output ----------
+
+const when = iso => iso.replace("T", " ").slice(0, 16);
+const list = obj => Object.entries(obj).map(([k, n]) => `${n} ${k}`).join(" · ") || "none";
+
+function print(s) {
+  if (!s.runs) {
+    console.log(`\n${s.site}: no runs logged${opts.days || opts.since ? " in this window" : ""} (${runLogPath(s.site)})`);
+    return;
+  }
+  const ok = s.status.ok || 0;
+  console.log(`\n${s.site}: ${s.runs} run(s), ${when(s.first)} → ${when(s.last.started)} UTC (last: ${s.last.status})`);
+  console.log(`  runs       ${list(s.status)} (${Math.round((ok / s.runs) * 100)}% ok)`);
+  console.log(`  articles   ${list(s.articles)}`);
+  if (s.attempts.mean != null) {
+    const rejected = Object.entries(s.rejections).map(([k, n]) => `${n}× ${k}`).join(", ");
+    console.log(`  attempts   ${s.attempts.mean} per article (max ${s.attempts.max})${rejected ? `; rejected: ${rejected}` : ""}`);
+  }
+  console.log(`  images     ${list(s.images)}${s.imageFallbacks ? ` (${s.imageFallbacks} after a provider failed)` : ""}`);
+  const perArticle = s.usage.per_article != null ? `, ${s.usage.per_article.toLocaleString("en-US")} per article` : "";
+  console.log(`  tokens     ${s.usage.total_tokens.toLocaleString("en-US")} in ${s.usage.calls} call(s)${perArticle} · ${list(s.models)}`);
+
+  const lastFailure = s.failures.at(-1);
+  if (lastFailure && !opts.failures) {
+    console.log(`  last fail  ${when(lastFailure.started)}${lastFailure.date ? ` [${lastFailure.date}]` : ""}  ${clamp(lastFailure.error.split("\n")[0], 120)}`);
+  }
+  if (opts.failures && s.failures.length) {
+    console.log(`  failures (${s.failures.length}):`);
+    s.failures.forEach(f => console.log(`    ${when(f.started)}${f.date ? ` [${f.date}]` : ""}  ${f.error.split("\n")[0]}`));
+  }
+}
+
+async function run() {
+  const since = sinceDate();
+  const known = listSites();
+  const unknown = names.filter(n => !known.includes(n));
+  if (unknown.length) throw new Error(`Unknown site(s): ${unknown.join(", ")} (sites: ${known.join(", ")}).`);
+  const sites = names.length ? names : known;
+  for (const site of sites) {
+    const runs = readRunLog(site).filter(r => !since || String(r.started).slice(0, 10) >= since);
+    const summary = summarize(site, runs);
+    if (opts.json) console.log(JSON.stringify(summary));
+    else print(summary);
+  }
+}
+
+run().catch(err => {
+  console.error("❌ Run log summary failed:", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+/**
+ * serve.js — local preview of docs/ with live reload.
+ *
+ * Run: npm run serve [-- --port <n>] [--no-build]   → http://localhost:8080/<site>/
+ *
+ *  - builds every site first (pages, shards, feeds are not committed), so the
+ *    preview shows this checkout's articles.json and images, not production
+ *    (WebP/AVIF variants are not committed either: npm run images -- optimize)
+ *  - when docs/<site>/data/articles.json or a translation file (articles.<lang>.json)
+ *    changes (a generate run, a factshistory, drafts or translate command) that
+ *    site is rebuilt and open pages reload; edits to the
+ *    site's own .html/.css/.js files reload them too
+ *
+ * Env: PORT (default 8080)
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { parseArgs } from "util";
+import { listSites, loadSite } from "./sites/index.js";
+import { sitePaths } from "./lib/engine.js";
+import { translatedLanguages, translationsPath } from "./lib/translations.js";
+import { buildAll } from "./lib/build/index.js";
+import { DOCS_DIR, htmlEsc } from "./lib/util.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    port: { type: "string", default: process.env.PORT || "8080" },
+    "no-build": { type: "boolean" },
+  },
+});
+
+const RELOAD_PATH = "/__reload";
+const DEBOUNCE_MS = 300;
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+};
+
+// Appended to every HTML page: reload when the server says so
+const RELOAD_SNIPPET = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+
+// ---------- live reload ----------
+
+const clients = new Set();
+
+function reloadClients(reason) {
+  console.log(`↻ ${reason} (${clients.size} page(s) reloading)`);
+  clients.forEach(res => res.write("data: reload\n\n"));
+}
+
+function debounce(fn) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), DEBOUNCE_MS);
+  };
+}
+
+function watchSite(site) {
+  const ctx = sitePaths(site);
+  let building = Promise.resolve();
+
+  const rebuild = debounce(file => {
+    building = building
+      .then(() => buildAll([site.name]))
+      .then(() => reloadClients(`${site.name}: ${file} changed, rebuilt`))
+      .catch(err => console.error(`❌ ${site.name}: rebuild failed:`, err.message));
+  });
+
+  // polled: editors and git checkouts may replace the file, which a watch handle would miss
+  // (and a language's file may not exist until its first translation)
+  const languages = new Set([...Object.keys(site.languages || {}), ...translatedLanguages(ctx)]);
+  for (const file of [ctx.articlesPath, ...[...languages].map(lang => translationsPath(ctx, lang))]) {
+    fs.watchFile(file, { interval: 500 }, () => rebuild(path.basename(file)));
+  }
+
+  // the site's own templates and scripts (build output lives in subfolders and .xml files)
+  fs.watch(ctx.siteDir, debounce((event, file) => {
+    if (/\.(?:html|css|js)$/.test(file || "")) reloadClients(`${site.name}/${file} changed`);
+  }));
+}
+
+// ---------- files ----------
+
+function siteList() {
+  const items = listSites().map(name => `<li><a href="/${name}/">${htmlEsc(name)}</a></li>`).join("");
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>factshistory preview</title></head><body><h1>Sites</h1><ul>${items}</ul>${RELOAD_SNIPPET}</body></html>`;
+}
+
+// URL path → file under docs/ (null when it escapes docs/)
+function resolveFile(urlPath) {
+  const file = path.resolve(DOCS_DIR, `.${decodeURIComponent(urlPath)}`);
+  return file === DOCS_DIR || file.startsWith(`${DOCS_DIR}${path.sep}`) ? file : null;
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+function handle(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (pathname === RELOAD_PATH) {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    res.write(": connected\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+  if (pathname === "/") return send(res, 200, TYPES[".html"], siteList());
+
+  let file;
+  try {
+    file = resolveFile(pathname);
+  } catch {
+    file = null; // malformed %-escape
+  }
+  if (!file || !fs.existsSync(file)) return send(res, 404, TYPES[".txt"], `Not found: ${pathname}`);
+
+  if (fs.statSync(file).isDirectory()) {
+    // relative links in the pages need the trailing slash
+    if (!pathname.endsWith("/")) {
+      res.writeHead(301, { Location: `${pathname}/` });
+      return res.end();
+    }
+    file = path.join(file, "index.html");
+    if (!fs.existsSync(file)) return send(res, 404, TYPES[".txt"], `No index.html in ${pathname}`);
+  }
+
+  const type = TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+  if (type === TYPES[".html"]) {
+    const html = fs.readFileSync(file, "utf8");
+    const at = html.lastIndexOf("</body>");
+    return send(res, 200, type, at < 0 ? html + RELOAD_SNIPPET : html.slice(0, at) + RELOAD_SNIPPET + html.slice(at));
+  }
+  send(res, 200, type, fs.readFileSync(file));
+}
+
+// ---------- main ----------
+
+async function run() {
+  const port = Number(opts.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`--port must be a port number, got "${opts.port}".`);
+  if (!opts["no-build"]) await buildAll();
+
+  const sites = await Promise.all(listSites().map(loadSite));
+  sites.forEach(watchSite);
+
+  const server = http.createServer((req, res) => {
+    try {
+      handle(req, res);
+    } catch (err) {
+      console.error(`❌ ${req.url}:`, err.message);
+      if (!res.headersSent) send(res, 500, TYPES[".txt"], "Internal error");
+    }
+  });
+  server.on("error", err => {
+    console.error("❌ Preview server failed:", err.message);
+    process.exit(1);
+  });
+  server.listen(port, () => {
+    console.log(`👀 Previewing docs/ at http://localhost:${port}/ (${sites.map(s => `/${s.name}/`).join(", ")}); Ctrl+C to stop.`);
+  });
+}
+
+run().catch(err => {
+  console.error("❌ Preview server failed:", err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,27 @@
+/**
+ * sites/index.js — registry of site configs (one module per docs/<name>/ site).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SITES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export function listSites() {
+  return fs.readdirSync(SITES_DIR)
+    .filter(f => f.endsWith(".js") && f !== "index.js")
+    .map(f => f.replace(/\.js$/, ""))
+    .sort();
+}
+
+export async function loadSite(name) {
+  if (!listSites().includes(name)) {
+    throw new Error(`Unknown site "${name}" (expected ${listSites().join(", ")}).`);
+  }
+  return (await import(`./${name}.js`)).default;
+}
+
+export async function loadSites(names = listSites()) {
+  return Promise.all(names.map(loadSite));
+}
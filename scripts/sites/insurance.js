@@ -0,0 +1,286 @@
+/**
+ * insurance.js — "Daily Insurance Insight" site config.
+ *
+ *  - Plans each article from the topic taxonomy (taxonomies/insurance.json):
+ *    the least covered topic × angle archetype cell, see lib/taxonomy.js
+ *  - Supplies recent titles/tags as EXPLICIT "do-not-repeat" constraints
+ *  - Rejects drafts semantically close to ANY published article (embeddings,
+ *    see lib/novelty.js) & re-prompts with the nearest neighbours
+ *  - Lints drafts against the prompt's content boundaries (lib/lint.js)
+ */
+
+import crypto from "crypto";
+import { slugify } from "../lib/util.js";
+import { recentWindow, prepareNovelty, semanticNeighbours, rememberEmbedding } from "../lib/novelty.js";
+import { prices, carrierNames, usStates, disclaimer, wordCount } from "../lib/lint.js";
+import { loadTaxonomy, classify, planCells } from "../lib/taxonomy.js";
+
+const MAX_REPROMPTS = 3; // how many “try a different angle” attempts
+const DISCLAIMER = "This is general information, not individualized advice.";
+const TAXONOMY = loadTaxonomy("insurance");
+
+// ---------- prompt builders with “avoid” lists & daily archetypes ----------
+
+export const ANGLE_ARCHETYPES = TAXONOMY.archetypes.map(a => a.label);
+
+function dailyAngle(dateISO) {
+  const d = new Date(dateISO);
+  const idx = (d.getUTCFullYear() * 372 + d.getUTCMonth() * 31 + d.getUTCDate()) % ANGLE_ARCHETYPES.length;
+  return ANGLE_ARCHETYPES[idx];
+}
+
+function buildDailyPrompt({ date, avoidTitles = [], avoidTags = [], cell = null, tooClose = null, rewrite = null }) {
+  const d = date;
+  const archetype = cell ? cell.archetype.label : dailyAngle(d);
+  const topic = cell ? `${cell.topic.label}${cell.subtopic ? ` — ${cell.subtopic.label}` : ""}` : null;
+
+  const avoidTitleLines = avoidTitles.slice(0, 15).map(t => `- ${t}`).join("\n");
+  const avoidTagLines = avoidTags.slice(0, 15).map(t => `- ${t}`).join("\n");
+  const tooCloseBlock = tooClose ? `
+Your previous draft “${tooClose.title}” was rejected: it covers the same ground as these published articles (similarity 0–1):
+${tooClose.neighbours.map(n => `- ${n.title} (${n.score.toFixed(2)})`).join("\n")}
+Choose a genuinely different subject, not a rephrasing of these.
+` : "";
+
+  const topicBlock = rewrite ? `
+Goal: Write a fresh, improved version of an existing article. Keep its subject and use exactly this title: “${rewrite.title}” (primary tag: ${rewrite.tag}).
+` : `
+Goal: Generate ONE new, original, high-quality article today with a DISTINCT topic & angle (${d} seed).
+
+${topic ? `Topic for today: **${topic}** (one of the least covered areas of the archive). Stay within it.
+` : ""}Angle archetype for today: **${archetype}**. Apply it to ${topic ? "a specific question within this topic" : "a topic"} that is *not* close to recent items.
+
+Do NOT repeat or closely resemble these recent titles (semantic or phrasing):
+${avoidTitleLines || "- (none)"}
+
+Avoid focusing on these tags/themes, unless you take a clearly different sub-niche or audience:
+${avoidTagLines || "- (none)"}
+${tooCloseBlock}`;
+  const freshnessBlock = rewrite || cell ? "" : `
+Topic Rotation & Freshness:
+- Use today’s date (${d}) as a seed and pick an angle distinct from the avoided items above.
+- Rotate among: beginner guides, checklists, myth-busting, real claim timelines, risk basics, comparisons, optimization tactics.
+`;
+
+  return `
+You are an experienced insurance content writer specializing in educational content for the general U.S. audience.
+${topicBlock}
+Guidelines:
+- Tone: educational, approachable, neutral, accurate
+- Length: ~900–1,200 words
+- Structure:
+  1) Title (engaging, specific, not clickbait)
+  2) Excerpt (1–2 sentences)
+  3) Body (H2/H3 subheads, short paragraphs, bullets where helpful)
+  4) FAQ (3 concise Q&As)
+- Always end body with this disclaimer:
+  “${DISCLAIMER}”
+${freshnessBlock}
+Content Boundaries:
+- No prices, quotes, or company names
+- No state-by-state or legal specifics
+- No personalized advice
+- Keep evergreen
+
+Tags:
+- 3–6 relevant tags; specific to the chosen topic/angle (no generic repetition).
+
+Output:
+Return ONLY valid JSON (no markdown) with keys:
+{
+  "id": "kebab-case-slug-of-title",
+  "title": "Title Case",
+  "excerpt": "1–2 sentence summary.",
+  "author": "Staff Writer",
+  "date": "${d}",
+  "primary_tag": "(main tag)",
+  "tags": ["tag1","tag2","tag3"],
+  "body_html": "<p>Full HTML article…</p>"
+}
+`.trim();
+}
+
+// Novelty window for the avoid lists: held drafts / earlier batch items, then recent articles
+function recentItems(ctx) {
+  return [...ctx.pending, ...recentWindow(ctx.articles)].map(a => ({
+    title: a.title || "",
+    body: a.body || "",
+    tag: (a.tag || "").toString(),
+    tags: Array.isArray(a.tags) ? a.tags : [],
+    date: a.date
+  }));
+}
+
+// ---------- coverage planning ----------
+
+// Each attempt takes the next cell, so a rejected draft moves on to another gap
+function plannedCell(ctx) {
+  return ctx?.plan?.length ? ctx.plan[(ctx.attempt || 0) % ctx.plan.length] : null;
+}
+
+// The planned cell when the draft stayed on its topic (or nothing matches);
+// a draft that drifted elsewhere is recorded as classified
+function topicFields(record, cell) {
+  const auto = classify(record, TAXONOMY);
+  const onPlan = cell && (!auto.topic || auto.topic.split("/")[0] === cell.topic.key);
+  const { topic, archetype } = onPlan
+    ? { topic: cell.subtopic ? `${cell.topic.key}/${cell.subtopic.key}` : cell.topic.key, archetype: cell.archetype.key }
+    : auto;
+  return { ...(topic && { topic }), ...(archetype && { archetype }) };
+}
+
+// ---------- image prompt ----------
+
+function extractH2Topics(html = "") {
+  const matches = [...html.matchAll(/<h2[^>]*>(.*?)<\/h2>/gi)].map(m => m[1]);
+  return matches.slice(0, 3).map(s => s.replace(/<[^>]+>/g, "").trim()).filter(Boolean);
+}
+
+function baseTopic(draft) {
+  return slugify(draft.primary_tag || draft.title || "insurance").split("-").slice(0, 3).join("-");
+}
+
+// ---------- site config ----------
+
+export default {
+  name: "insurance",
+  title: "Daily Insurance Insight",
+  description: "Practical explanations and timely tips so you feel confident about every policy decision.",
+  system: "You are a careful, structured content generator that always returns strict JSON.",
+  temperature: 0.85, // slightly higher to increase variation
+  draftSchema: "insurance-draft",
+  maxAttempts: MAX_REPROMPTS + 1,
+  image: { width: 1024, height: 640, ext: "png" },
+
+  // Content boundaries from the prompt. Length is flagged outside the prompt's
+  // 900–1,200 words but only warns until the archive meets it; npm run lint
+  // reports the articles that fall short.
+  lint: [
+    prices(),
+    carrierNames(),
+    usStates(),
+    disclaimer(DISCLAIMER),
+    wordCount({ min: 900, max: 1200, severity: "warn" }),
+  ],
+  inlineLinks: 3, // links from a new body to related earlier articles (lib/related.js)
+  taxonomy: "insurance", // topic / archetype coverage (lib/taxonomy.js, npm run coverage)
+  disclaimer: DISCLAIMER,
+  // languages articles can be translated into; new ones are only with TRANSLATE_LANGUAGES set
+  // (lib/translations.js), or on demand with npm run translate
+  languages: {
+    es: { disclaimer: "Esta es información general, no asesoramiento personalizado." },
+    fr: { disclaimer: "Il s’agit d’informations générales, et non de conseils personnalisés." },
+  },
+
+  async prepare(ctx) {
+    // Embedding store for the whole archive (backfills missing vectors)
+    await prepareNovelty(ctx);
+  },
+
+  buildPrompt(ctx) {
+    // Least covered topic × archetype cells first. Planned per article, since
+    // held drafts and earlier items of a batch run (ctx.pending) count as covered
+    if (!ctx.attempt) ctx.plan = planCells([...ctx.articles, ...ctx.pending], TAXONOMY, ctx.today);
+
+    const recent = recentItems(ctx);
+    const rejected = ctx.rejected.map(r => r.draft);
+    const last = ctx.rejected.at(-1);
+    const avoidTitles = [...rejected.map(d => d.title).reverse(), ...recent.map(r => r.title)].filter(Boolean);
+
+    // Build a conservative recent tag cloud
+    const avoidTagsSet = new Set(rejected.map(d => String(d.primary_tag || "").toLowerCase()).filter(Boolean).reverse());
+    for (const r of recent) {
+      if (r.tag) avoidTagsSet.add(String(r.tag).toLowerCase());
+      r.tags.forEach(t => avoidTagsSet.add(String(t).toLowerCase()));
+    }
+
+    return buildDailyPrompt({
+      date: ctx.today,
+      avoidTitles,
+      avoidTags: [...avoidTagsSet],
+      cell: plannedCell(ctx),
+      tooClose: last?.neighbours ? { title: last.draft.title, neighbours: last.neighbours } : null,
+    });
+  },
+
+  rewritePrompt(record) {
+    return buildDailyPrompt({ date: record.date, rewrite: { title: record.title, tag: record.tag } });
+  },
+
+  fromRecord(record) {
+    return {
+      id: record.id,
+      title: record.title,
+      excerpt: record.excerpt,
+      author: record.author,
+      date: record.date,
+      primary_tag: record.tag,
+      tags: record.tags || [],
+      body_html: record.body,
+    };
+  },
+
+  normalize(obj, ctx) {
+    const id = slugify(obj.id || obj.title || `insurance-${ctx.today}`);
+    return {
+      ...obj,
+      id,
+      date: ctx.today,
+      author: obj.author || "Staff Writer",
+      primary_tag: obj.primary_tag || (obj.tags && obj.tags[0]) || "Insurance",
+    };
+  },
+
+  async checkDraft(draft, ctx) {
+    // Cosine similarity against every published article
+    const { score, neighbours } = await semanticNeighbours(draft, ctx);
+    if (score < ctx.novelty.threshold) return null;
+    return {
+      reason: `too close to “${neighbours[0].title}” (similarity ${score.toFixed(2)} ≥ ${ctx.novelty.threshold})`,
+      similarity: Number(score.toFixed(3)),
+      neighbours: neighbours.filter(n => n.score >= ctx.novelty.threshold * 0.9),
+    };
+  },
+
+  imagePrompt(draft) {
+    const ideas = extractH2Topics(draft.body_html).join(", ");
+    const focus = draft.tags?.[0] ? ` Focus on: ${draft.tags[0]}.` : "";
+    // Keep it short & explicit; DeepAI tends to respect concise prompts
+    return [
+      `Photographic illustration (no text) symbolizing: ${draft.primary_tag || "insurance coverage"}.`,
+      ideas ? `Key notions: ${ideas}.` : "",
+      `No text, no typography, no documents, no posters, no labels, no paperwork, no signage.`,
+      `No words or numbers visible anywhere.`,
+      `No faces; neutral, modern, professional corporate imagery.`,
+      `Clean background, soft depth-of-field, crisp details.`,
+      `Show purely visual symbolism — objects, environment, composition only.`,
+      `<no_text> Text Removal: enforced`
+    ].filter(Boolean).join(" ") + focus;
+  },
+
+  imageName(draft) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    // batch items run side by side and can share topic, date and second
+    const rand = crypto.randomBytes(4).toString("hex");
+    return `${baseTopic(draft)}-${draft.date.replace(/-/g, "")}-1-${timestamp}-${rand}`;
+  },
+
+  toRecord(draft, image, ctx) {
+    const record = {
+      id: draft.id,
+      title: draft.title,
+      excerpt: draft.excerpt,
+      author: draft.author,
+      date: draft.date,
+      image: image.url,
+      tag: draft.primary_tag,
+      tags: draft.tags || [],
+      body: draft.body_html
+    };
+    return { ...record, ...topicFields(record, plannedCell(ctx)) };
+  },
+
+  afterSave(record, draft, ctx) {
+    rememberEmbedding(ctx, record.id, draft);
+  },
+};
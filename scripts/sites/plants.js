@@ -0,0 +1,267 @@
+/**
+ * plants.js — "Plant Wisdom Daily" site config.
+ *
+ * Files:
+ *  - docs/plants/data/articles.json         (array of article objects; structured fields under `plant`)
+ *  - docs/plants/data/registry.json         (one entry per published taxon, see lib/plant-registry.js)
+ *  - docs/plants/images/<slug>-<date>-<id>.jpg  (generated image)
+ */
+
+import crypto from "crypto";
+import { slugify, clamp, htmlEsc } from "../lib/util.js";
+import { loadRegistry, saveRegistry, emptyRegistry, findTaxon, registerPlant, unregisterArticle, taxonLabel } from "../lib/plant-registry.js";
+import { medicalClaims, disclaimer } from "../lib/lint.js";
+
+const DISCLAIMER = "This is educational information, not medical advice.";
+
+function plantKeyOf(article) {
+  return article.plant_key || `${article.common_name} | ${article.scientific_name || ""}`.trim();
+}
+
+// Drafts awaiting review (and earlier items of a batch run) count as taken
+// too, but stay out of registry.json
+function pendingRegistry(ctx) {
+  const reg = emptyRegistry();
+  ctx.pending.filter(r => r.plant).forEach(r => registerPlant(reg, r.plant, r.id));
+  return reg;
+}
+
+// Structured fields kept on the record, so bodies can be re-rendered (npm run rerender)
+export const PLANT_FIELDS = ["common_name", "scientific_name", "aliases", "short_history", "benefits", "preparations", "safety", "sources"];
+
+export function plantData(article) {
+  return Object.fromEntries(PLANT_FIELDS.filter(k => article[k] !== undefined).map(k => [k, article[k]]));
+}
+
+function hasRecipe(obj) {
+  return Boolean(obj && ["ingredients", "steps", "ideas"].some(k => obj[k]?.length));
+}
+
+// Card filters on index.html, linked from the article pages (see lib/build/shards.js, pages.js)
+const FACETS = [
+  { key: "tea-recipe", label: "Tea recipe", test: p => hasRecipe(p.preparations?.tea) },
+  { key: "salve", label: "Salve", test: p => hasRecipe(p.preparations?.salve) },
+  { key: "tincture", label: "Tincture", test: p => hasRecipe(p.preparations?.tincture) },
+  { key: "culinary", label: "Culinary ideas", test: p => hasRecipe(p.preparations?.culinary) },
+  { key: "pregnancy", label: "Pregnancy warning", test: p => (p.safety || []).some(s => /pregnan|breast-?feed|nursing/i.test(s)) },
+];
+
+function plantPrompt(task, footer = "") {
+  return [
+    `Return STRICT JSON only with the schema below. ${task}`,
+    'Tone: neutral, educational; avoid medical claims ("traditionally used", "studies suggest").',
+    "",
+    "Schema:",
+    "{",
+    '  "plant_key": "string",',
+    '  "common_name": "string",',
+    '  "scientific_name": "string",',
+    '  "aliases": ["string"],',
+    '  "short_history": "string",',
+    '  "benefits": { "tea":["string"], "culinary":["string"], "salve":["string"], "tincture":["string"], "other":["string"] },',
+    '  "preparations": {',
+    '    "tea": { "ingredients":["string"], "steps":["string"] },',
+    '    "salve": { "ingredients":["string"], "steps":["string"] },',
+    '    "culinary": { "ideas":["string"] },',
+    '    "tincture": { "ingredients":["string"], "steps":["string"] }',
+    "  },",
+    '  "safety": ["string"],',
+    '  "sources": ["string"]',
+    "}",
+    ...(footer ? ["", footer] : []),
+  ].join("\n");
+}
+
+export function buildHTML(article) {
+  const ben = article.benefits || {};
+  const prep = article.preparations || {};
+  const img = article.image || {};
+  const parts = [];
+
+  parts.push(`<h2>Introduction</h2>`);
+  parts.push(
+    `<p><em>${htmlEsc(article.common_name)}</em>${
+      article.scientific_name
+        ? ` (<em>${htmlEsc(article.scientific_name)}</em>)`
+        : ""
+    } — ${htmlEsc(article.short_history || "")}</p>`
+  );
+
+  if (img.url) {
+    parts.push(
+      `<p><img src="${htmlEsc(img.url)}" alt="${htmlEsc(
+        article.common_name
+      )}" /></p>`
+    );
+    const credits = [img.credit, img.license, img.source]
+      .filter(Boolean)
+      .map(htmlEsc)
+      .join(" · ");
+    if (credits) parts.push(`<p><small>Image: ${credits}</small></p>`);
+  }
+
+  parts.push(`<h2>Benefits &amp; Uses</h2>`);
+  function ul(arr) {
+    return Array.isArray(arr) && arr.length
+      ? `<ul>${arr.map((x) => `<li>${htmlEsc(x)}</li>`).join("")}</ul>`
+      : `<p><em>No items.</em></p>`;
+  }
+  parts.push(`<h3>Tea</h3>${ul(ben.tea)}`);
+  parts.push(`<h3>Culinary</h3>${ul(ben.culinary)}`);
+  parts.push(`<h3>Salve</h3>${ul(ben.salve)}`);
+  parts.push(`<h3>Tincture</h3>${ul(ben.tincture)}`);
+  parts.push(`<h3>Other</h3>${ul(ben.other)}`);
+
+  function recipe(obj) {
+    if (!obj) return `<p><em>No details.</em></p>`;
+    const ing = obj.ingredients?.length
+      ? `<h4>Ingredients</h4><ul>${obj.ingredients
+          .map((x) => `<li>${htmlEsc(x)}</li>`)
+          .join("")}</ul>`
+      : "";
+    const steps = obj.steps?.length
+      ? `<h4>Steps</h4><ol>${obj.steps
+          .map((x) => `<li>${htmlEsc(x)}</li>`)
+          .join("")}</ol>`
+      : "";
+    const ideas = obj.ideas?.length
+      ? `<h4>Ideas</h4><ul>${obj.ideas
+          .map((x) => `<li>${htmlEsc(x)}</li>`)
+          .join("")}</ul>`
+      : "";
+    return [ing, steps, ideas].filter(Boolean).join("");
+  }
+
+  parts.push(`<h2>Ways to Prepare</h2>`);
+  parts.push(`<h3>Tea</h3>${recipe(prep.tea)}`);
+  parts.push(`<h3>Salve</h3>${recipe(prep.salve)}`);
+  parts.push(`<h3>Culinary</h3>${recipe(prep.culinary)}`);
+  parts.push(`<h3>Tincture</h3>${recipe(prep.tincture)}`);
+
+  parts.push(`<h2>Safety</h2>${ul(article.safety)}`);
+
+  if (article.sources?.length) {
+    parts.push(
+      `<h2>Sources</h2><ul>${article.sources
+        .map((x) => `<li>${htmlEsc(x)}</li>`)
+        .join("")}</ul>`
+    );
+  }
+
+  parts.push(
+    `<p><small>${DISCLAIMER}</small></p>`
+  );
+  return parts.join("\n");
+}
+
+export default {
+  name: "plants",
+  title: "Plant Wisdom Daily",
+  description: "Your daily guide to the power and purpose of plants — uncovering the gentle ways nature teaches, nourishes, and heals.",
+  system: "You are a careful botanical writer who produces compact, factual JSON only.",
+  temperature: 0.7,
+  draftSchema: "plants-draft",
+  maxAttempts: 3,
+  image: { ext: "jpg" },
+  facets: FACETS.map(f => ({ ...f, test: record => Boolean(record.plant && f.test(record.plant)) })),
+  // the prompt asks for hedged wording; buildHTML adds the disclaimer, edits may drop it
+  lint: [medicalClaims(), disclaimer(DISCLAIMER)],
+  disclaimer: DISCLAIMER,
+  // languages articles can be translated into; new ones are only with TRANSLATE_LANGUAGES set
+  // (lib/translations.js), or on demand with npm run translate
+  languages: {
+    es: { disclaimer: "Esta es información educativa, no consejo médico." },
+    fr: { disclaimer: "Il s’agit d’informations éducatives, et non d’un avis médical." },
+  },
+
+  prepare(ctx) {
+    ctx.registry = loadRegistry(ctx);
+  },
+
+  buildPrompt(ctx) {
+    const exclusions = [...ctx.registry.taxa, ...pendingRegistry(ctx).taxa].map(taxonLabel)
+      .concat(ctx.rejected.map(r => plantKeyOf(r.draft)));
+    return plantPrompt(
+      "Choose a RANDOM commonly known plant NOT in EXCLUSIONS (under any common name, alias or synonym).",
+      `EXCLUSIONS: ${JSON.stringify(exclusions)}`
+    );
+  },
+
+  rewritePrompt(record) {
+    const p = record.plant || {};
+    const name = p.common_name || record.title.split(":")[0];
+    return plantPrompt(`Write a fresh entry for exactly this plant: ${name}${p.scientific_name ? ` (${p.scientific_name})` : ""}. Keep "common_name" as given.`);
+  },
+
+  normalize(article, ctx) {
+    return { ...article, plant_key: plantKeyOf(article), date: ctx.today };
+  },
+
+  checkDraft(draft, ctx) {
+    const taxon = findTaxon(ctx.registry, draft);
+    if (taxon) return `model returned already published plant “${draft.plant_key}” (= ${taxonLabel(taxon)})`;
+    const queued = findTaxon(pendingRegistry(ctx), draft);
+    return queued ? `model returned plant “${draft.plant_key}” already awaiting review (= ${taxonLabel(queued)})` : null;
+  },
+
+  imagePrompt(draft) {
+    // Keep the prompt clear + CC-safe (no text in image)
+    return [
+      `Photo of ${draft.common_name}${
+        draft.scientific_name ? ` (${draft.scientific_name})` : ""
+      },healthy food ingredients, no text, no watermark, natural lighting.`,
+      `Center composition, high quality.`,
+    ].join(" ");
+  },
+
+  imageName(draft) {
+    const rand = crypto.randomBytes(4).toString("hex");
+    return slugify(`${draft.common_name}-${draft.date}-${rand}`);
+  },
+
+  imageCard(draft) {
+    return { title: draft.common_name, tag: draft.scientific_name || "plant" };
+  },
+
+  toRecord(article, image) {
+    const title = `${article.common_name}: Uses, History, and Preparations`;
+    return {
+      id: slugify(title),
+      title,
+      excerpt: clamp(
+        article.short_history || `Daily insight on ${article.common_name}.`,
+        300
+      ),
+      author: "Staff Writer",
+      date: article.date,
+      image: image.url,
+      tag: "plant",
+      tags: ["plants", "herbal", "daily insight", slugify(article.common_name)],
+      // the self-hosted image is the page hero; no second copy in the body
+      body: buildHTML({ ...article, image: null }),
+      plant: plantData(article),
+    };
+  },
+
+  fromRecord(record) {
+    if (!record.plant) return null;
+    return { ...record.plant, plant_key: plantKeyOf(record.plant), date: record.date };
+  },
+
+  afterDelete(record, ctx) {
+    const reg = loadRegistry(ctx);
+    if (unregisterArticle(reg, record.id)) saveRegistry(ctx, reg);
+  },
+
+  renderBody(record) {
+    return record.plant ? buildHTML({ ...record.plant, image: null }) : null;
+  },
+
+  afterSave(record, article, ctx) {
+    const plant = article || record.plant;
+    if (!plant) return; // e.g. imported from Markdown: nothing to register
+    ctx.registry = ctx.registry || loadRegistry(ctx);
+    registerPlant(ctx.registry, plant, record.id);
+    saveRegistry(ctx, ctx.registry);
+  },
+};
@@ -0,0 +1,19 @@
+/**
+ * generate-{{name}}.js — daily "{{title}}" article.
+ *
+ * The pipeline lives in lib/engine.js; the site config in sites/{{name}}.js.
+ *
+ * Env:
+ *  - OPENAI_API_KEY, DEEPAI_API_KEY, LLM_MODEL (default gpt-4o-mini)
+ *  - IMAGE_PROVIDER (default deepai with a key, else an offline placeholder card)
+ *  - LLM_PROVIDER=mock runs offline from scripts/fixtures/llm/{{name}}.json
+ *
+ * Run: npm run {{name}}
+ * Batch / backfill: npm run {{name}} -- --count 5 | --from 2025-01-01 --to 2025-01-31
+ * (resumable, see lib/batch.js)
+ */
+
+import { main } from "./lib/engine.js";
+import site from "./sites/{{name}}.js";
+
+main(site);
@@ -0,0 +1,132 @@
+/**
+ * {{name}}.js — "{{title}}" site config, scaffolded by `npm run new-site`
+ * from scripts/templates/site.js. Edit freely: the prompt below is a starting
+ * point — tune the audience, guidelines and content boundaries, then add lint
+ * rules (lib/lint.js) that enforce them and a draft schema of its own.
+ *
+ * Files:
+ *  - docs/{{name}}/data/articles.json           (array of article objects)
+ *  - docs/{{name}}/images/<tag>-<date>-<rand>.*  (generated image)
+ */
+
+import crypto from "crypto";
+import { slugify } from "../lib/util.js";
+import { recentWindow } from "../lib/novelty.js";
+import { wordCount } from "../lib/lint.js";
+
+const SUBJECT = "{{topic}}";
+
+function buildPrompt({ date, avoidTitles = [], rewrite = null }) {
+  const goal = rewrite
+    ? `Write a fresh, improved version of an existing article. Keep its subject and use exactly this title: “${rewrite.title}”.`
+    : `Write ONE new, original article about ${SUBJECT} (${date} seed). Do NOT repeat or closely resemble these recent titles:
+${avoidTitles.slice(0, 20).map(t => `- ${t}`).join("\n") || "- (none)"}`;
+
+  return `
+You are an experienced writer producing practical, educational articles about ${SUBJECT} for a general audience.
+
+Goal: ${goal}
+
+Guidelines:
+- Tone: friendly, practical, accurate
+- Length: ~700–1,000 words
+- Structure: specific title (not clickbait), 1–2 sentence excerpt, body with <h2>/<h3> subheads, short paragraphs, bullets where helpful
+- Keep it evergreen: no prices, offers or dates that go stale
+
+Tags:
+- 3–6 tags specific to the article
+
+Output:
+Return ONLY valid JSON (no markdown) with keys:
+{
+  "title": "Title Case",
+  "excerpt": "1–2 sentence summary.",
+  "primary_tag": "(main tag)",
+  "tags": ["tag1","tag2","tag3"],
+  "body_html": "<h2>…</h2><p>…</p>"
+}
+`.trim();
+}
+
+// Held drafts and earlier items of a batch run count as published
+function takenTitles(ctx) {
+  return [...ctx.pending, ...ctx.articles].map(a => a.title);
+}
+
+export default {
+  name: "{{name}}",
+  title: "{{title}}",
+  description: "{{description}}",
+  system: "You are a careful, structured content generator that always returns strict JSON.",
+  temperature: 0.8,
+  draftSchema: "article-draft",
+  maxAttempts: 3,
+  image: { width: 1024, height: 640, ext: "png" },
+  lint: [wordCount({ min: 700, max: 1000, severity: "warn" })],
+  inlineLinks: 3,
+
+  buildPrompt(ctx) {
+    const recent = [...ctx.pending, ...recentWindow(ctx.articles)].map(a => a.title);
+    return buildPrompt({ date: ctx.today, avoidTitles: [...ctx.rejected.map(r => r.draft.title).reverse(), ...recent] });
+  },
+
+  rewritePrompt(record) {
+    return buildPrompt({ date: record.date, rewrite: { title: record.title } });
+  },
+
+  normalize(obj, ctx) {
+    return {
+      ...obj,
+      id: slugify(obj.title),
+      date: ctx.today,
+      author: obj.author || "Staff Writer",
+      primary_tag: obj.primary_tag || obj.tags?.[0] || "{{name}}",
+    };
+  },
+
+  checkDraft(draft, ctx) {
+    const taken = takenTitles(ctx).find(t => slugify(t) === draft.id);
+    return taken ? `model returned an existing title “${taken}”` : null;
+  },
+
+  imagePrompt(draft) {
+    return [
+      `Photographic illustration (no text) for an article titled “${draft.title}”.`,
+      draft.tags?.length ? `Key notions: ${draft.tags.slice(0, 3).join(", ")}.` : "",
+      "No text, no words or numbers visible anywhere, no logos.",
+      "Natural lighting, clean composition, crisp details.",
+    ].filter(Boolean).join(" ");
+  },
+
+  imageName(draft) {
+    const rand = crypto.randomBytes(4).toString("hex");
+    return slugify(`${draft.primary_tag}-${draft.date}-${rand}`);
+  },
+
+  toRecord(draft, image) {
+    return {
+      id: draft.id,
+      title: draft.title,
+      excerpt: draft.excerpt,
+      author: draft.author,
+      date: draft.date,
+      image: image.url,
+      tag: draft.primary_tag,
+      tags: draft.tags || [],
+      body: draft.body_html,
+    };
+  },
+
+  fromRecord(record) {
+    return {
+      id: record.id,
+      title: record.title,
+      excerpt: record.excerpt,
+      author: record.author,
+      date: record.date,
+      primary_tag: record.tag,
+      tags: record.tags || [],
+      body_html: record.body,
+    };
+  },
+};
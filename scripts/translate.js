@@ -0,0 +1,124 @@
+/**
+ * translate.js — translates published articles into the site's languages
+ * (site.languages, see lib/translations.js). New articles are translated as they
+ * are published when TRANSLATE_LANGUAGES is set; this fills in the older ones and
+ * refreshes stale translations, whatever that variable says.
+ *
+ * Run: npm run translate -- <site> [--lang es,fr] [--id <id>]… [--stale] [--limit <n>] [--dry-run]
+ *
+ *   (default)    articles with no translation yet, newest first
+ *   --stale      also re-translate those whose English text changed since
+ *   --lang       a subset of the site's languages (default: all of them)
+ *   --id         only these articles
+ *   --limit      at most n translations this run; each is saved as soon as it's
+ *                done, so an interrupted or limited run picks up where it stopped
+ *   --dry-run    list what would be translated
+ * Then: npm run build
+ *
+ * With PUBLISH_MODE=review each translation is saved as a draft (<id>.<lang>,
+ * npm run drafts) instead; pairs already waiting there are skipped.
+ *
+ * Env: LLM_PROVIDER and friends, see lib/llm/index.js
+ */
+
+import { parseArgs } from "util";
+import { loadSite } from "./sites/index.js";
+import { createContext, translateArticle, publishMode } from "./lib/engine.js";
+import { readTranslations, isStale } from "./lib/translations.js";
+import { loadDrafts, saveDrafts, isPending, holdTranslation } from "./lib/drafts.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    lang: { type: "string" },
+    id: { type: "string", multiple: true },
+    stale: { type: "boolean" },
+    limit: { type: "string" },
+    "dry-run": { type: "boolean" },
+  },
+});
+const [siteName] = positionals;
+
+function targetLanguages(site) {
+  const configured = Object.keys(site.languages || {});
+  if (!configured.length) throw new Error(`${site.name} has no languages (add \`languages\` to scripts/sites/${site.name}.js).`);
+  if (!opts.lang) return configured;
+  const wanted = opts.lang.split(",").map(l => l.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(l => !configured.includes(l));
+  if (unknown.length) throw new Error(`--lang: ${site.name} has no ${unknown.join(", ")} (configured: ${configured.join(", ")}).`);
+  return wanted;
+}
+
+function targetArticles(ctx) {
+  if (!opts.id) return ctx.articles;
+  const missing = opts.id.filter(id => !ctx.articles.some(a => a.id === id));
+  if (missing.length) throw new Error(`No ${ctx.site.name} article ${missing.join(", ")}.`);
+  return ctx.articles.filter(a => opts.id.includes(a.id));
+}
+
+// Every (article, language) pair that needs a translation, and how many stale ones were left alone
+function plan(ctx, languages, drafts) {
+  const existing = new Map(languages.map(lang => [lang, new Map(readTranslations(ctx, lang).map(t => [t.id, t]))]));
+  const queued = new Set(drafts.filter(d => d.lang && isPending(d)).map(d => d.id));
+  const jobs = [];
+  let staleSkipped = 0;
+  for (const record of targetArticles(ctx)) {
+    for (const lang of languages) {
+      const current = existing.get(lang).get(record.id);
+      if (queued.has(`${record.id}.${lang}`)) continue;
+      if (!current) jobs.push({ record, lang, reason: "new" });
+      else if (!isStale(current, record)) continue;
+      else if (opts.stale) jobs.push({ record, lang, reason: "stale" });
+      else staleSkipped++;
+    }
+  }
+  return { jobs, staleSkipped };
+}
+
+async function run() {
+  if (!siteName) throw new Error("Usage: npm run translate -- <site> [--lang es,fr] [--id <id>]… [--stale] [--limit <n>] [--dry-run]");
+  const limit = opts.limit == null ? Infinity : Number(opts.limit);
+  if (opts.limit != null && !(Number.isInteger(limit) && limit > 0)) throw new Error(`--limit must be a positive whole number, got "${opts.limit}".`);
+
+  const review = publishMode() === "review";
+  const site = await loadSite(siteName);
+  const ctx = createContext(site);
+  const drafts = loadDrafts(site);
+  const { jobs, staleSkipped } = plan(ctx, targetLanguages(site), drafts);
+  // review mode: each translation waits in the drafts queue instead of going out
+  const hold = review ? t => {
+    holdTranslation(drafts, t);
+    saveDrafts(site, drafts);
+  } : undefined;
+  const todo = jobs.slice(0, limit);
+  const staleNote = staleSkipped ? `; ${staleSkipped} stale (--stale re-translates them)` : "";
+
+  if (opts["dry-run"]) {
+    todo.forEach(({ record, lang, reason }) => console.log(`  ${lang}  ${record.id}${reason === "stale" ? "  (stale)" : ""}`));
+    console.log(`${site.name}: ${todo.length} translation(s) to do${jobs.length > todo.length ? ` (of ${jobs.length})` : ""}${staleNote} (dry run, nothing written)`);
+    return;
+  }
+
+  let done = 0;
+  const failed = [];
+  for (const { record, lang } of todo) {
+    try {
+      const t = await translateArticle(site, ctx, record, lang, { hold });
+      done++;
+      console.log(`${review ? "📝" : "🌐"} ${lang}  ${record.id}  ${t.title}`);
+    } catch (err) {
+      failed.push(`${lang}/${record.id}`);
+      console.warn(`⚠️  ${lang}/${record.id}: ${err.message}`);
+    }
+  }
+
+  const left = jobs.length - done;
+  console.log(`${site.name}: ${done} translated${review ? " (saved as drafts)" : ""}, ${failed.length} failed, ${left} still to do${staleNote}`);
+  if (done) console.log(review ? `Review them with \`npm run drafts -- list ${site.name}\`.` : "Run `npm run build` to refresh pages and search.");
+  if (failed.length) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error("❌ Translation failed:", err.message);
+  process.exitCode = 1;
+});